@@ -7,12 +7,15 @@ const ShellExec = require('child_process').exec;
 const HTTPS = require('https');
 const OS = require('os');
 const Readline = require('readline');
+const Url = require('url');
 
 const win = OS.platform() === 'win32';
 
 const SCRIPT_NAME = 'losh';
 const SCRIPT_DIRECTORY = 'loom';
 const VERSION = 'main';
+const COMMAND_EXTENSIONS = ['.js', '.mjs', '.sh', '.php', '.json', '.yml', '.yaml'];
+const RECIPE_STEPS = ['drush', 'composer', 'git', 'run', 'shell'];
 
 class LoshError extends Error {
 
@@ -56,8 +59,21 @@ class Log {
     return this._codes;
   }
 
+  static get levels() {
+    return {
+      debug: 0,
+      info: 1,
+      warn: 2,
+      error: 3,
+    };
+  }
+
   constructor(codes) {
     this._codes = codes;
+    this.level = Log.levels.info;
+    this.format = 'text';
+    this.file = null;
+    this.colors = !process.env.NO_COLOR && !!process.stdout.isTTY;
     for (const cat in codes) {
       for (const name in codes[cat]) {
         this[cat] = this[cat] || {};
@@ -70,15 +86,26 @@ class Log {
     const match = full.match(/\x1B\[(\d)+m/g);
 
     if (match && match[0]) {
-      return insert + '\u001b[' + match[0];
+      return insert + match[0];
     }
     return insert;
   }
 
   inColor(code, string) {
+    if (!this.colors) return (code[2] || '') + string + (code[2] || '');
     return '\u001b[' + code[0] + 'm' + (code[2] || '') + string + (code[2] || '') + '\u001b[' + code[1] + 'm';
   }
 
+  /**
+   * Remove all color codes.
+   * 
+   * @param {string} string 
+   * @returns {string}
+   */
+  strip(string) {
+    return string.replace(/\x1B\[\d+m/g, '');
+  }
+
   replace(message, placeholders = {}) {
     for (const index in placeholders) {
       if (this.logs[index[0]] === undefined) {
@@ -90,13 +117,48 @@ class Log {
     return message;
   }
 
+  /**
+   * Output a message if the level is active, as text or JSON line, and append it to the log file.
+   * 
+   * @param {string} level [debug, info, warn, error]
+   * @param {string} message The styled message
+   * @param {Function} stream console.log, console.warn or console.error
+   */
+  output(level, message, stream = console.log) {
+    const time = new Date().toISOString();
+
+    if (this.file !== null) {
+      this.append(time + ' [' + level.toUpperCase() + '] ' + this.strip(message) + '\n');
+    }
+    if (Log.levels[level] < this.level) return;
+    if (this.format === 'json') {
+      stream(JSON.stringify({time, level, message: this.strip(message)}));
+    } else {
+      stream(message);
+    }
+  }
+
+  /**
+   * Append raw content to the log file.
+   * 
+   * @param {string} content 
+   */
+  append(content) {
+    if (this.file === null) return;
+    FS.appendFileSync(this.file, content);
+  }
+
+  debug(message, placeholders = {}) {
+    this.output('debug', this.replace(this.color.white(message), placeholders));
+  }
+
   note(message, placeholders = {}) {
-    console.log(this.replace(this.color.blue(message), placeholders));
+    this.output('info', this.replace(this.color.blue(message), placeholders));
   }
 
   warn(message, placeholders = {}) {
     message = '[WARN]: ' + message;
-    console.warn(this.replace(this.color.yellow(message), placeholders));
+    this.output('warn', this.replace(this.color.yellow(message), placeholders), console.warn);
   }
 
   error(message, placeholders = {}) {
@@ -104,11 +166,11 @@ class Log {
 
     if (error) {
       if (!error.printed) {
-        console.error(this.color.red('[ERROR]: ' + error.message + (typeof placeholders === 'string' ? ' ' + placeholders : '')));
+        this.output('error', this.color.red('[ERROR]: ' + error.message + (typeof placeholders === 'string' ? ' ' + placeholders : '')), console.error);
         error.printed = true;
       }
     } else {
-      console.error(this.replace(this.color.red('[ERROR]: ' + message), placeholders));
+      this.output('error', this.replace(this.color.red('[ERROR]: ' + message), placeholders), console.error);
       error = new LoshError(message);
       error.printed = true;
     }
@@ -117,7 +179,7 @@ class Log {
 
   success(message, placeholders = {}) {
     message = '[SUCCESS]: ' + message;
-    console.log(this.replace(this.bg.green(message), placeholders));
+    this.output('info', this.replace(this.bg.green(message), placeholders));
   }
 
   failed(message, placeholders = {}, full = false) {
@@ -134,11 +196,11 @@ class Log {
         } else {
           add += error.message
         }
-        console.error(this.bg.red('[FAILED]: ' + add + (typeof placeholders === 'string' ? ' ' + placeholders : '')));
+        this.output('error', this.bg.red('[FAILED]: ' + add + (typeof placeholders === 'string' ? ' ' + placeholders : '')), console.error);
         error.printed = true;
       }
     } else {
-      console.error(this.replace(this.bg.red('[FAILED]: ' + message), placeholders));
+      this.output('error', this.replace(this.bg.red('[FAILED]: ' + message), placeholders), console.error);
       error = new LoshError(message);
       error.printed = true;
     }
@@ -158,6 +220,150 @@ class Log {
 
 }
 
+class Config {
+
+  /**
+   * Merge the source into the target recursive, arrays and values are replaced.
+   * 
+   * @param {Object} target 
+   * @param {Object} source 
+   * @returns {Object}
+   */
+  static merge(target, source) {
+    for (const key in source) {
+      if (Config.isObject(source[key]) && Config.isObject(target[key])) {
+        Config.merge(target[key], source[key]);
+      } else {
+        target[key] = source[key];
+      }
+    }
+    return target;
+  }
+
+  /**
+   * @param {any} value 
+   * @returns {boolean}
+   */
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @param {Log} log 
+   */
+  constructor(log) {
+    this._log = log;
+    this._data = {};
+    this.files = [];
+  }
+
+  /**
+   * @returns {Object}
+   */
+  get data() {
+    return this._data;
+  }
+
+  /**
+   * Merge a JSON file into the config if it exists.
+   * 
+   * @param {string} file 
+   * @returns {this}
+   */
+  load(file) {
+    if (!FS.existsSync(file)) return this;
+    try {
+      Config.merge(this._data, JSON.parse(FS.readFileSync(file).toString()));
+      this.files.push(file);
+    } catch (error) {
+      this._log.warn('The config file [!file] is invalid and will be ignored: [message]', {'!file': file, message: error.message});
+    }
+    return this;
+  }
+
+  /**
+   * Merge environment variables with a prefix into the config.
+   * "LOSH_THEME" will set "theme", "LOSH_DEPLOY__LOCK_TIMEOUT" will set "deploy.lockTimeout".
+   * Values are parsed as JSON if possible.
+   * 
+   * @param {Object<string, string>} env 
+   * @param {string} prefix 
+   * @param {string[]} ignore Prefixes of variables used for other purposes
+   * @returns {this}
+   */
+  env(env, prefix, ignore = []) {
+    for (const name in env) {
+      if (!name.startsWith(prefix) || ignore.some(other => name.startsWith(other))) continue;
+      const key = name.substring(prefix.length).split('__').map(part => part.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase())).join('.');
+      let value = env[name];
+
+      try {
+        value = JSON.parse(value);
+      } catch (e) {}
+      this.set(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Get a value by a dotted key.
+   * 
+   * @param {string} key e.g. "deploy.branch"
+   * @param {any} fallback 
+   * @returns {any}
+   */
+  get(key, fallback = null) {
+    let value = this._data;
+
+    for (const part of key.split('.')) {
+      if (value === null || typeof value !== 'object' || value[part] === undefined) return fallback;
+      value = value[part];
+    }
+    return value === null ? fallback : value;
+  }
+
+  /**
+   * Set a value by a dotted key.
+   * 
+   * @param {string} key 
+   * @param {any} value 
+   * @returns {this}
+   */
+  set(key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let target = this._data;
+
+    for (const part of parts) {
+      if (!Config.isObject(target[part])) target[part] = {};
+      target = target[part];
+    }
+    target[last] = value;
+    return this;
+  }
+
+  /**
+   * Returns all values with dotted keys.
+   * 
+   * @param {Object} [data] 
+   * @param {string} [prefix] 
+   * @returns {Object<string, any>}
+   */
+  flatten(data = this._data, prefix = '') {
+    const flat = {};
+
+    for (const key in data) {
+      if (Config.isObject(data[key])) {
+        Object.assign(flat, this.flatten(data[key], prefix + key + '.'));
+      } else {
+        flat[prefix + key] = data[key];
+      }
+    }
+    return flat;
+  }
+
+}
+
 class ShellCommand {
 
   get command() { return null; }
@@ -181,8 +387,8 @@ class ShellCommand {
     return this._command;
   }
 
-  async exec(command) {
-    return this._executable.checkError(await this._executable.exec(command));
+  async exec(command, input = null) {
+    return this._executable.checkError(await this._executable.exec(command, input));
   }
 
   shc(...args) {
@@ -266,8 +472,93 @@ class Git extends ShellCommand {
     return this.shExecute('branch', '--show-current').then(data => data.out.trim());
   }
 
-  pull() {
-    return this.execute('pull');
+  /**
+   * Channel for "git clone --depth 1 <url> <directory>".
+   * 
+   * @param {string} url 
+   * @param {string} directory 
+   * @returns {Promise}
+   */
+  clone(url, directory) {
+    return this.execute('clone', '--depth', '1', url, '"' + directory + '"');
+  }
+
+  /**
+   * Channel for "git pull", with "--ff-only" to refuse a merge.
+   * 
+   * @param {boolean} fastForward 
+   * @returns {Promise}
+   */
+  pull(fastForward = false) {
+    return fastForward ? this.execute('pull', '--ff-only') : this.execute('pull');
+  }
+
+  /**
+   * Get the changed and untracked files. Channel for "git status --porcelain".
+   * 
+   * @param {...string} paths Limit the status to these paths
+   * @returns {Promise<Array<{status: string, path: string}>>} The status is the two letter code, "??" for untracked files
+   */
+  status(...paths) {
+    const args = ['status', '--porcelain', '--untracked-files=all'];
+
+    if (paths.length) args.push('--', ...paths.map(path => '"' + path + '"'));
+    return this.shExecute(...args).then(data => data.out.split('\n').filter(line => line.trim().length).map(line => {
+      return {status: line.substring(0, 2), path: line.substring(3)};
+    }));
+  }
+
+  /**
+   * Channel for "git fetch --quiet".
+   * 
+   * @returns {Promise}
+   */
+  fetch() {
+    return this.shExecute('fetch', '--quiet');
+  }
+
+  /**
+   * Get the upstream of the current branch, null if there is none.
+   * 
+   * @returns {Promise<string|null>}
+   */
+  getUpstream() {
+    return this.shExecute('rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}').then(data => data.out.trim() || null, () => null);
+  }
+
+  /**
+   * Count the commits only on HEAD (ahead) and only on the upstream (behind).
+   * Channel for "git rev-list --left-right --count HEAD...<upstream>".
+   * 
+   * @param {string} upstream 
+   * @returns {Promise<{ahead: number, behind: number}>}
+   */
+  aheadBehind(upstream = '@{upstream}') {
+    return this.shExecute('rev-list', '--left-right', '--count', 'HEAD...' + upstream).then(data => {
+      const counts = data.out.trim().split(/\s+/).map(count => parseInt(count) || 0);
+
+      return {ahead: counts[0] || 0, behind: counts[1] || 0};
+    });
+  }
+
+  /**
+   * If no branch is checked out.
+   * 
+   * @returns {Promise<boolean>}
+   */
+  isDetached() {
+    return this.getCurrentBranch().then(branch => branch === '');
+  }
+
+  /**
+   * Get the files changed between two commits. Channel for "git diff --name-only <from> <to>".
+   * 
+   * @param {string} from 
+   * @param {string} to 
+   * @returns {Promise<string[]>}
+   */
+  changedFiles(from, to = 'HEAD') {
+    return this.shExecute('diff', '--name-only', from, to).then(data => data.out.split('\n').map(line => line.trim()).filter(line => line.length));
   }
 
   push() {
@@ -304,6 +595,19 @@ class Drush extends ShellCommand {
     }
   }
 
+  /**
+   * Channel for "drush updb"
+   * 
+   * @param {Boolean} force "drush updb -y"
+   */
+  updb(force) {
+    if (force) {
+      return this.execute('updb', '-y');
+    } else {
+      return this.execute('updb');
+    }
+  }
+
   /**
    * Channel for "drush cex"
    * 
@@ -323,38 +627,172 @@ class Drush extends ShellCommand {
    * @returns {Promise<String>}
    */
   getDB() {
-    return this.shExecute('eval "echo \\Drupal::database()->getConnectionOptions()[\'database\'];"').then(data => data.out);
+    return this.shExecute('eval "echo \\Drupal::database()->getConnectionOptions()[\'database\'];"').then(data => data.out.trim());
+  }
+
+  /**
+   * Channel for "drush sql:dump --result-file=<file>"
+   * 
+   * @param {string} file Absolute path, drush appends ".gz" if gzip is used
+   * @param {boolean} gzip "drush sql:dump --gzip"
+   * @returns {Promise}
+   */
+  sqlDump(file, gzip = true) {
+    if (gzip) {
+      return this.execute('sql:dump', '--gzip', '--result-file="' + file + '"');
+    } else {
+      return this.execute('sql:dump', '--result-file="' + file + '"');
+    }
+  }
+
+  /**
+   * Channel for "drush sql:query --file=<file>", gzip files are accepted.
+   * 
+   * @param {string} file 
+   * @returns {Promise}
+   */
+  sqlImport(file) {
+    return this.execute('sql:query', '--file="' + file + '"');
+  }
+
+  /**
+   * Channel for "drush sql:drop -y"
+   * 
+   * @returns {Promise}
+   */
+  sqlDrop() {
+    return this.execute('sql:drop', '-y');
   }
 
   /**
-   * Channel for "drush sql-cli 'query'"
+   * Channel for "drush sql-cli --extra=--batch", the query is written to stdin.
    * 
    * @param {string} query
    * @returns {Promise<ExecResult>}
    */
   sqlCli(query) {
-    return this.exec(['echo', query, '|', '"' + this.getCommand() + '"', 'sql-cli'].join(' '));
+    return this.exec('"' + this.getCommand() + '" sql-cli --extra=--batch', query);
+  }
+
+  /**
+   * Escape a value as SQL literal. Arrays are escaped as list, e.g. for "IN (?)".
+   * 
+   * @param {any} value 
+   * @returns {string}
+   */
+  escape(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (Array.isArray(value)) return value.map(item => this.escape(item)).join(', ');
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'number') {
+      if (!isFinite(value)) throw new LoshError('The number [' + value + '] can not be used in SQL.');
+      return String(value);
+    }
+    if (value instanceof Date) {
+      value = value.toISOString().replace('T', ' ').replace(/\..+$/, '');
+    }
+    const escapes = {'\0': '\\0', '\n': '\\n', '\r': '\\r', '\b': '\\b', '\t': '\\t', '\x1a': '\\Z', '\\': '\\\\', '\'': '\\\'', '"': '\\"'};
+    return '\'' + String(value).replace(/[\0\n\r\b\t\x1a\\'"]/g, char => escapes[char]) + '\'';
+  }
+
+  /**
+   * Replace the placeholders of a query with escaped values. Use "?" with an array of values
+   * or ":name" with an object. Placeholders in quoted strings are ignored.
+   * 
+   * @param {string} query 
+   * @param {(any[]|Object<string, any>)} values 
+   * @returns {string}
+   */
+  format(query, values) {
+    let index = 0;
+    const result = query.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\?|:([a-zA-Z_][a-zA-Z0-9_]*)/g, (match, name) => {
+      if (match === '?') {
+        if (!Array.isArray(values) || index >= values.length) {
+          throw new LoshError('Not enough values for the placeholders in query [' + query + '].');
+        }
+        return this.escape(values[index++]);
+      }
+      if (name !== undefined) {
+        if (values === null || typeof values !== 'object' || Array.isArray(values) || values[name] === undefined) {
+          throw new LoshError('The value for placeholder [:' + name + '] is missing.');
+        }
+        return this.escape(values[name]);
+      }
+      return match;
+    });
+
+    if (Array.isArray(values) && index < values.length) {
+      throw new LoshError('Too many values for the placeholders in query [' + query + '].');
+    }
+    return result;
+  }
+
+  /**
+   * Unescape a value of the batch output, "NULL" is returned as null.
+   * 
+   * @param {string} value 
+   * @returns {(string|null)}
+   */
+  unescape(value) {
+    if (value === 'NULL') return null;
+    const escapes = {'0': '\0', 'n': '\n', 't': '\t', 'r': '\r', 'b': '\b', 'Z': '\x1a', '\\': '\\'};
+    return value.replace(/\\(.)/g, (match, char) => escapes[char] === undefined ? char : escapes[char]);
+  }
+
+  /**
+   * Convert a value into a type [string, number, int, float, boolean, json, date].
+   * 
+   * @param {(string|null)} value 
+   * @param {string} type 
+   * @returns {any}
+   */
+  coerce(value, type) {
+    if (value === null) return null;
+    switch (type) {
+      case 'number':
+      case 'float':
+        return Number(value);
+      case 'int':
+        return parseInt(value, 10);
+      case 'boolean':
+        return !['0', '', 'false'].includes(value.toLowerCase());
+      case 'json':
+        return JSON.parse(value);
+      case 'date':
+        return /^\d+$/.test(value) ? new Date(parseInt(value, 10) * 1000) : new Date(value.replace(' ', 'T'));
+      default:
+        return value;
+    }
   }
 
   /**
+   * Execute a select and parse the batch output into rows.
+   * 
    * @param {string} query 
+   * @param {(any[]|Object<string, any>)} [values] Values for the placeholders, see format()
+   * @param {Object<string, string>} [types] Column types, see coerce()
    * @returns {Promise<Object<string, any>[]>}
    */
-  async sqlSelect(query) {
+  async sqlSelect(query, values = null, types = {}) {
+    if (values !== null) {
+      query = this.format(query, values);
+    }
     const data = await this.sqlCli(query);
+    if (data.error) throw data.error;
     const lines = data.out.split((win ? '\r\n' : '\n'));
-    const header = lines.shift().split('\t');
+    const header = lines.shift().split('\t').map(column => this.unescape(column));
     const rows = [];
     
-    for (const index in lines) {
-      if (lines[index].trim().length) {
-        const result = lines[index].split('\t');
-        const row = {};
-        for (const i in header) {
-          row[header[i]] = result[i];
-        }
-        rows.push(row);
+    for (const line of lines) {
+      if (!line.length) continue;
+      const result = line.split('\t');
+      const row = {};
+
+      for (const i in header) {
+        const value = result[i] === undefined ? null : this.unescape(result[i]);
+        row[header[i]] = types[header[i]] ? this.coerce(value, types[header[i]]) : value;
       }
+      rows.push(row);
     }
   
     return rows;
@@ -379,78 +817,1193 @@ class Composer extends ShellCommand {
 
 }
 
-class Executable {
+class Deploy {
 
   /**
-   * @param {System} system 
-   * @param {string} name
-   * @param {string} file 
+   * @param {Executable} executable 
    */
-  constructor(system, name, file) {
-    this.drush = new Drush(this);
-    this.git = new Git(this);
-    this.composer = new Composer(this);
-    this.node = new Node(this);
-    this.system = system;
-    this.name = name;
-    this._strict = false;
-    if (typeof file === 'string') {
-      this.file = file;
-      this._factory = undefined;
-    } else {
-      this.file = null;
-      this._factory = file;
-    }
+  constructor(executable) {
+    this._executable = executable;
+    this._record = null;
   }
 
-  async init() {
-    
+  /**
+   * Returns the path of the hash stack file.
+   * 
+   * @returns {string}
+   */
+  get hashFile() {
+    return this._executable.path('extension', 'currenthash.txt');
   }
 
   /**
-   * @returns {Log}
+   * Get the hashes of the previous deployments, the newest is last.
+   * 
+   * @returns {string[]}
    */
-  get log() {
-    return this.system.log;
+  getHashes() {
+    if (!FS.existsSync(this.hashFile)) return [];
+    return FS.readFileSync(this.hashFile).toString().split(/\r?\n/).map(line => line.trim()).filter(line => line.length);
   }
 
   /**
-   * @returns {NodeRequire}
+   * Push a hash on the stack of previous deployments.
+   * 
+   * @param {string} hash 
+   * @returns {Promise<WriteResult>}
    */
-  get require() {
-    return this.system.require;
+  pushHash(hash) {
+    const hashes = this.getHashes();
+
+    hashes.push(hash);
+    return this._executable.write(this.hashFile, hashes.join('\n') + '\n', true);
   }
 
   /**
-   * Returns the extname of the representing file. By native code it will return ".js".
+   * Remove the newest hashes from the stack.
    * 
-   * @returns {string}
+   * @param {number} steps 
+   * @returns {Promise<WriteResult>}
    */
-  get extname() {
-    if (this.file === null) return '.js';
-    return Path.extname(this.file);
+  popHashes(steps = 1) {
+    const hashes = this.getHashes();
+
+    hashes.splice(Math.max(hashes.length - steps, 0));
+    return this._executable.write(this.hashFile, hashes.length ? hashes.join('\n') + '\n' : '', true);
   }
 
   /**
-   * Returns the function if exist.
+   * Returns the name of the user running the deployment.
    * 
-   * @returns {Function}
+   * @returns {string}
    */
-  get factory() { 
-    if (this._factory === undefined) {
-      if (this.extname === '.js') {
-        this._factory = require(this.file);
-      } else {
-        this._factory = null;
-      }
+  get user() {
+    try {
+      return OS.userInfo().username;
+    } catch (error) {
+      return process.env.USER || process.env.USERNAME || '?';
     }
-    return this._factory;
   }
 
   /**
-   * Returns the parameter of the command.
+   * Returns the path of the deploy history, a JSON object per line.
    * 
-   * @returns {Object[]}
+   * @returns {string}
+   */
+  get historyFile() {
+    return this._executable.path('extension', 'deploy-history.jsonl');
+  }
+
+  /**
+   * Get all recorded deployments, the oldest first. The id is the line number.
+   * 
+   * @returns {DeployRecord[]}
+   * 
+   * @typedef {Object} DeployRecord
+   * @property {number} id
+   * @property {string} started ISO date
+   * @property {string} finished ISO date
+   * @property {number} duration In milliseconds
+   * @property {string} user
+   * @property {string} host
+   * @property {string} type
+   * @property {string} branch
+   * @property {string} from The hash before the deployment
+   * @property {string} to The hash after the deployment
+   * @property {Array<{name: string, duration: number, status: string, error?: string}>} steps
+   * @property {string} status [running, success, failed, refused]
+   * @property {string} [error]
+   */
+  getHistory() {
+    if (!FS.existsSync(this.historyFile)) return [];
+    return FS.readFileSync(this.historyFile).toString().split(/\r?\n/).map((line, index) => {
+      try {
+        return Object.assign(JSON.parse(line), {id: index + 1});
+      } catch (error) {
+        return null;
+      }
+    }).filter(record => record !== null);
+  }
+
+  /**
+   * Start the record of a deployment, written into the history by finish().
+   * 
+   * @param {string} type 
+   * @returns {DeployRecord}
+   */
+  start(type) {
+    this._record = {
+      started: new Date().toISOString(),
+      finished: null,
+      duration: null,
+      user: this.user,
+      host: OS.hostname(),
+      type,
+      branch: null,
+      from: null,
+      to: null,
+      steps: [],
+      status: 'running',
+    };
+    return this._record;
+  }
+
+  /**
+   * Execute a step of the deployment and record its duration and result.
+   * 
+   * @param {string} name 
+   * @param {Function} callback 
+   * @returns {Promise<any>} The result of the callback
+   */
+  async step(name, callback) {
+    const begin = Date.now();
+    const step = {name, duration: null, status: 'running'};
+
+    if (this._record) this._record.steps.push(step);
+    try {
+      const result = await callback();
+      step.status = 'success';
+      return result;
+    } catch (error) {
+      step.status = 'failed';
+      step.error = (error && (error.error || error).message) || String(error);
+      throw error;
+    } finally {
+      step.duration = Date.now() - begin;
+    }
+  }
+
+  /**
+   * Finish the record of the deployment and append it to the history.
+   * 
+   * @param {string} status [success, failed, refused]
+   * @param {Error} [error] 
+   * @returns {DeployRecord}
+   */
+  finish(status, error = null) {
+    const record = this._record;
+
+    if (!record) return null;
+    this._record = null;
+    record.finished = new Date().toISOString();
+    record.duration = new Date(record.finished).getTime() - new Date(record.started).getTime();
+    record.status = status;
+    if (error) record.error = (error.error || error).message || String(error);
+    if (this._executable.system.dryRun) {
+      this._executable.system.dryRun.record('write', 'append ' + status + ' deployment to ' + this.historyFile, Path.dirname(this.historyFile));
+    } else {
+      FS.appendFileSync(this.historyFile, JSON.stringify(record) + '\n');
+    }
+    return record;
+  }
+
+  /**
+   * Returns the path of the deploy lock file.
+   * 
+   * @returns {string}
+   */
+  get lockFile() {
+    return this._executable.path('extension', 'deploy.lock');
+  }
+
+  /**
+   * Get the current lock, null if not locked.
+   * 
+   * @returns {DeployLock|null}
+   * 
+   * @typedef {Object} DeployLock
+   * @property {number} pid
+   * @property {string} user
+   * @property {string} host
+   * @property {string} started ISO date
+   */
+  getLock() {
+    if (!FS.existsSync(this.lockFile)) return null;
+    try {
+      return JSON.parse(FS.readFileSync(this.lockFile).toString());
+    } catch (error) {
+      return {pid: 0, user: '?', host: '?', started: new Date(0).toISOString()};
+    }
+  }
+
+  /**
+   * Get the reason why a lock is stale. On the same host the lock is stale only if the process is dead,
+   * from another host if it is older than the config "deploy.lockTimeout" in minutes (0 to disable). 
+   * 
+   * @param {DeployLock} lock 
+   * @returns {string|null} Null if the lock is active
+   */
+  isStale(lock) {
+    const timeout = this._executable.config.get('deploy.lockTimeout', 60);
+    const age = (Date.now() - new Date(lock.started).getTime()) / 60000;
+
+    if (!lock.pid) return 'the lock file is invalid';
+    if (lock.host === OS.hostname()) {
+      try {
+        process.kill(lock.pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') return 'the process ' + lock.pid + ' is not running';
+      }
+      return null;
+    }
+    if (timeout > 0 && !(age <= timeout)) return 'the lock is older than ' + timeout + ' minutes';
+    return null;
+  }
+
+  /**
+   * Acquire the deploy lock, a stale lock is replaced. The lock is released on exit of the process.
+   * 
+   * @returns {{lock?: DeployLock, error?: Error}}
+   */
+  lock() {
+    const executable = this._executable;
+    const lock = {pid: process.pid, user: this.user, host: OS.hostname(), started: new Date().toISOString()};
+
+    if (executable.system.dryRun) {
+      executable.system.dryRun.record('write', 'lock ' + this.lockFile, Path.dirname(this.lockFile));
+      return {lock};
+    }
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        FS.writeFileSync(this.lockFile, JSON.stringify(lock, null, 2) + '\n', {flag: 'wx'});
+        const release = () => this.release();
+        const interrupt = () => process.exit(130);
+
+        process.once('exit', release);
+        process.once('SIGINT', interrupt);
+        process.once('SIGTERM', interrupt);
+        return {lock};
+      } catch (error) {
+        if (error.code !== 'EEXIST') return {error: executable.log.error(error)};
+      }
+      const current = this.getLock();
+      const stale = current === null ? 'the lock was released' : this.isStale(current);
+      if (stale === null) {
+        return {error: executable.log.error('A deployment is running by [!user] on [!host] (pid [pid]) since [started]. Use [@unlock] if it is not.', {'!user': current.user, '!host': current.host, 'pid': current.pid, 'started': current.started, '@unlock': SCRIPT_NAME + ' deploy:unlock'})};
+      }
+      executable.log.warn('Replace the stale deploy lock, because [reason].', {'reason': stale});
+      if (current !== null) FS.unlinkSync(this.lockFile);
+    }
+    return {error: executable.log.error('The deploy lock [!path] can not be acquired.', {'!path': this.lockFile})};
+  }
+
+  /**
+   * Release the deploy lock if it is held by this process.
+   * 
+   * @returns {boolean} If the lock was released
+   */
+  release() {
+    const lock = this.getLock();
+
+    if (lock === null || lock.pid !== process.pid || lock.host !== OS.hostname()) return false;
+    FS.unlinkSync(this.lockFile);
+    return true;
+  }
+
+  /**
+   * Remove the deploy lock of any process.
+   * 
+   * @returns {DeployLock|null} The removed lock
+   */
+  unlock() {
+    const lock = this.getLock();
+
+    if (lock === null) return null;
+    if (this._executable.system.dryRun) {
+      this._executable.system.dryRun.record('remove', 'remove ' + this.lockFile, Path.dirname(this.lockFile));
+    } else {
+      FS.unlinkSync(this.lockFile);
+    }
+    return lock;
+  }
+
+  /**
+   * Decide the steps of a "smart" deployment by the files changed between the old and the new hash.
+   * 
+   * - composer: "composer.lock" changed
+   * - updb: "composer.lock" or module code changed
+   * - cim: the config sync directory changed (config "deploy.configSync")
+   * - theme: theme sources changed and a build command is configured (config "deploy.themeBuild")
+   * 
+   * @param {string[]} files Paths relative to the git root
+   * @returns {Object<string, {run: boolean, reason: string}>}
+   */
+  plan(files) {
+    const config = this._executable.config;
+    const configSync = (config.get('deploy.configSync', 'config/sync') || '').replace(/^\.?\/+|\/+$/g, '');
+    const lock = files.filter(file => file === 'composer.lock' || file.endsWith('/composer.lock'));
+    const modules = files.filter(file => /(^|\/)modules\/.+\.(php|module|install|inc)$/.test(file));
+    const sync = configSync ? files.filter(file => file.startsWith(configSync + '/') || file.includes('/' + configSync + '/')) : [];
+    const theme = files.filter(file => /(^|\/)themes\/.+\.(scss|sass|less|css|js|ts)$/.test(file) && !/(^|\/)(dist|build|node_modules)\//.test(file));
+    const count = (list, what) => list.length + ' ' + what + ' changed (' + list.slice(0, 3).join(', ') + (list.length > 3 ? ', ...' : '') + ')';
+    const plan = {
+      composer: {run: false, reason: 'composer.lock unchanged'},
+      updb: {run: false, reason: 'no module code or composer.lock changed'},
+      cim: {run: false, reason: 'no config changed in "' + configSync + '"'},
+      theme: {run: false, reason: 'no theme sources changed'},
+    };
+
+    if (lock.length) {
+      plan.composer = {run: true, reason: 'composer.lock changed'};
+      plan.updb = {run: true, reason: 'composer.lock changed'};
+    }
+    if (modules.length) {
+      plan.updb = {run: true, reason: count(modules, 'module file(s)')};
+    }
+    if (sync.length) {
+      plan.cim = {run: true, reason: count(sync, 'config file(s)')};
+    }
+    if (theme.length) {
+      if (config.get('deploy.themeBuild')) {
+        plan.theme = {run: true, reason: count(theme, 'theme source(s)')};
+      } else {
+        plan.theme = {run: false, reason: count(theme, 'theme source(s)') + ', but no "deploy.themeBuild" is configured'};
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * Check the git checkout before a deployment: a detached HEAD, a wrong branch (config "deploy.branch"),
+   * uncommitted changes, untracked files in the config sync directory (config "deploy.configSync")
+   * and a diverged upstream which can not be fast-forwarded.
+   * The config "deploy.guard" decides if problems "refuse" the deployment, "prompt" for a consent or are ignored with false.
+   * 
+   * @param {boolean} force Only report the problems
+   * @returns {Promise<{problems: string[], error?: Error}>}
+   */
+  async guard(force = false) {
+    const executable = this._executable;
+    const config = executable.config;
+    const mode = config.get('deploy.guard', 'refuse');
+    const problems = [];
+
+    if (mode === false) return {problems};
+    executable.log.note('Check the git checkout ...');
+    const branch = await executable.git.getCurrentBranch();
+    if (branch === '') {
+      problems.push('HEAD is detached, no branch is checked out.');
+    } else if (config.get('deploy.branch') && branch !== config.get('deploy.branch')) {
+      problems.push('The branch "' + branch + '" is checked out, expected "' + config.get('deploy.branch') + '".');
+    }
+
+    const changes = (await executable.git.status()).filter(entry => entry.status !== '??');
+    if (changes.length) {
+      problems.push(changes.length + ' uncommitted change(s): ' + changes.map(entry => entry.path).join(', '));
+    }
+    const configSync = config.get('deploy.configSync', 'config/sync');
+    if (configSync) {
+      const untracked = (await executable.git.status(configSync)).filter(entry => entry.status === '??');
+      if (untracked.length) {
+        problems.push(untracked.length + ' untracked file(s) in "' + configSync + '": ' + untracked.map(entry => entry.path).join(', '));
+      }
+    }
+
+    if (branch !== '') {
+      const upstream = await executable.git.getUpstream();
+      if (upstream === null) {
+        executable.log.warn('The branch [!branch] has no upstream, the pull can not be checked.', {'!branch': branch});
+      } else {
+        await executable.git.fetch();
+        const counts = await executable.git.aheadBehind(upstream);
+        if (counts.ahead && counts.behind) {
+          problems.push('The branch diverged from "' + upstream + '" (' + counts.ahead + ' ahead, ' + counts.behind + ' behind), the pull is not a fast-forward.');
+        } else if (counts.ahead) {
+          executable.log.warn('The branch is [count] commit(s) ahead of [!upstream].', {'count': counts.ahead, '!upstream': upstream});
+        }
+      }
+    }
+
+    if (!problems.length) return {problems};
+    for (const problem of problems) {
+      executable.log.warn(problem);
+    }
+    if (force) {
+      executable.log.warn('Deploy anyway, forced.');
+      return {problems};
+    }
+    if (mode === 'prompt' && await executable.readlineAccept('Do you want to deploy anyway?')) {
+      return {problems};
+    }
+    return {problems, error: executable.log.error('The deployment is refused, use [@force] to deploy anyway.', {'@force': '--force'})};
+  }
+
+}
+
+class Extensions {
+
+  /**
+   * @param {System} system 
+   */
+  constructor(system) {
+    this._system = system;
+    this._invalid = false;
+  }
+
+  /**
+   * Returns the directory of the installed packages.
+   * 
+   * @returns {(string|null)}
+   */
+  get directory() {
+    if (!this._system.paths.home) return null;
+    return Path.join(this._system.paths.home, 'extensions');
+  }
+
+  /**
+   * Returns the path of the registry file.
+   * 
+   * @returns {(string|null)}
+   */
+  get file() {
+    if (!this._system.paths.home) return null;
+    return Path.join(this._system.paths.home, 'extensions.json');
+  }
+
+  /**
+   * Returns the registry entries of all installed packages.
+   * 
+   * @returns {ExtensionEntry[]}
+   * 
+   * @typedef {Object} ExtensionEntry
+   * @property {string} name
+   * @property {string} version
+   * @property {string} source Local path, git URL or tarball
+   * @property {string} type [path, git, tarball]
+   * @property {string} installed ISO date
+   * @property {string} [updated] ISO date
+   */
+  get installed() {
+    if (this.file === null || !FS.existsSync(this.file)) return [];
+    const content = FS.readFileSync(this.file).toString().trim();
+
+    if (!content.length) return [];
+    try {
+      const installed = JSON.parse(content);
+
+      if (!Array.isArray(installed)) throw new Error('The registry must be an array.');
+      return installed;
+    } catch (error) {
+      if (!this._invalid) {
+        this._invalid = true;
+        this._system.log.warn('The package registry [!file] is invalid and will be ignored: [message]', {'!file': this.file, message: error.message});
+      }
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} name 
+   * @returns {(ExtensionEntry|null)}
+   */
+  get(name) {
+    return this.installed.find(entry => entry.name === name) || null;
+  }
+
+  /**
+   * Add or replace an entry in the registry.
+   * 
+   * @param {ExtensionEntry} entry 
+   */
+  save(entry) {
+    const installed = this.installed;
+    const index = installed.findIndex(item => item.name === entry.name);
+
+    if (index === -1) {
+      installed.push(entry);
+    } else {
+      installed[index] = entry;
+    }
+    if (this._system.dryRun) {
+      this._system.dryRun.record('write', 'save ' + entry.name + ' in ' + this.file, Path.dirname(this.file));
+      return;
+    }
+    FS.writeFileSync(this.file, JSON.stringify(installed, null, 2));
+  }
+
+  /**
+   * Remove an entry from the registry.
+   * 
+   * @param {string} name 
+   */
+  remove(name) {
+    if (this._system.dryRun) {
+      this._system.dryRun.record('write', 'remove ' + name + ' from ' + this.file, Path.dirname(this.file));
+      return;
+    }
+    FS.writeFileSync(this.file, JSON.stringify(this.installed.filter(item => item.name !== name), null, 2));
+  }
+
+  /**
+   * Returns the install directory of a package.
+   * 
+   * @param {string} name 
+   * @returns {string}
+   */
+  path(name) {
+    return Path.join(this.directory, name);
+  }
+
+  /**
+   * Check if a package name is safe as install directory: lowercase letters, digits, ".", "_" and "-"
+   * and the install directory is a direct child of the extensions directory.
+   * 
+   * @param {string} name 
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(name)) return false;
+    return Path.dirname(Path.resolve(this.path(name))) === Path.resolve(this.directory);
+  }
+
+  /**
+   * @param {string} name 
+   * @returns {Error}
+   */
+  invalidName(name) {
+    return this._system.log.error('The package name [!name] is invalid. Allowed are lowercase letters, digits, ".", "_" and "-".', {'!name': String(name)});
+  }
+
+  /**
+   * Returns the command directory of a package, "commands/" if exists otherwise the package root.
+   * 
+   * @param {string} name 
+   * @returns {string}
+   */
+  commands(name) {
+    const commands = Path.join(this.path(name), 'commands');
+
+    return FS.existsSync(commands) ? commands : this.path(name);
+  }
+
+  /**
+   * Install a package from a local path, git URL or tarball into the extensions directory and register it.
+   * 
+   * @param {Executable} executable 
+   * @param {string} source 
+   * @param {string} [name] Overwrite the name of the package
+   * @param {boolean} [update] Replace an installed package
+   * @returns {Promise<InstallResult>}
+   * 
+   * @typedef {Object} InstallResult
+   * @property {ExtensionEntry} [entry]
+   * @property {string[]} [commands]
+   * @property {Error} [error]
+   */
+  async install(executable, source, name = null, update = false) {
+    const type = this.type(source);
+    const stage = Path.join(this.directory, '.stage-' + Date.now());
+    let version = null;
+    let root = stage;
+
+    FS.mkdirSync(stage, {recursive: true});
+    try {
+      if (type === 'git') {
+        const result = await executable.git.clone(source.replace(/^git\+/, ''), stage);
+        if (result.error) return {error: result.error};
+        version = (await executable.git.shExecute('-C', '"' + stage + '"', 'rev-parse', '--short', 'HEAD')).out.trim();
+        System.remove(Path.join(stage, '.git'));
+      } else if (type === 'tarball') {
+        let file = source;
+        if (/^https?:\/\//.test(source)) {
+          file = stage + '.tgz';
+          await executable.download(source, file);
+        } else {
+          file = source = Path.resolve(this._system.paths.cwd, source);
+        }
+        const result = await executable.exec('tar -xzf "' + file + '" -C "' + stage + '"');
+        if (result.error) return {error: executable.log.error('Could not extract [!file]: [message]', {'!file': file, message: result.err.trim()})};
+        const files = FS.readdirSync(stage);
+        if (files.length === 1 && FS.statSync(Path.join(stage, files[0])).isDirectory()) {
+          root = Path.join(stage, files[0]);
+        }
+      } else {
+        source = Path.resolve(this._system.paths.cwd, source);
+        if (!FS.existsSync(source) || !FS.statSync(source).isDirectory()) {
+          return {error: executable.log.error('The package [!source] is not a directory, git URL or tarball.', {'!source': source})};
+        }
+        System.copy(source, stage);
+      }
+
+      const info = Path.join(root, 'package.json');
+      const pack = FS.existsSync(info) ? JSON.parse(FS.readFileSync(info).toString()) : {};
+      name = name || (pack.name && pack.name.replace(/^@/, '').replace(/\//g, '-')) || Path.basename(source).replace(/(\.git|\.tgz|\.tar\.gz)$/, '');
+      version = pack.version || version;
+      if (!this.isValidName(name)) return {error: this.invalidName(name)};
+
+      const previous = this.get(name);
+      if (previous && !update) {
+        return {error: executable.log.error('The package [!name] is already installed. Use [@update] instead.', {'!name': name, '@update': SCRIPT_NAME + ' update ' + name})};
+      }
+      System.remove(this.path(name));
+      FS.renameSync(root, this.path(name));
+
+      const entry = {
+        name,
+        version,
+        source,
+        type,
+        installed: previous ? previous.installed : new Date().toISOString(),
+      };
+      if (previous) entry.updated = new Date().toISOString();
+      this.save(entry);
+
+      const directory = this.commands(name);
+      const commands = FS.readdirSync(directory).filter(file => System.isCommandFile(file, directory)).map(file => file.substring(0, file.length - Path.extname(file).length));
+      return {entry, commands};
+    } catch (error) {
+      return {error: error.error || executable.log.error(error.message || error)};
+    } finally {
+      System.remove(stage);
+      System.remove(stage + '.tgz');
+    }
+  }
+
+  /**
+   * Detect the type of a package source.
+   * 
+   * @param {string} source 
+   * @returns {string} [path, git, tarball]
+   */
+  type(source) {
+    if (/\.(tgz|tar\.gz)$/.test(source)) return 'tarball';
+    if (/^(git@|git:\/\/|git\+|ssh:\/\/)/.test(source) || /^https?:\/\/.+\.git$/.test(source)) return 'git';
+    return 'path';
+  }
+
+}
+
+class Dumps {
+
+  /**
+   * @param {Executable} executable 
+   */
+  constructor(executable) {
+    this._executable = executable;
+  }
+
+  /**
+   * Returns the dump directory from config "db.dumps", relative paths are resolved from the project "loom/".
+   * 
+   * @returns {string}
+   */
+  get directory() {
+    return Path.resolve(this._executable.path('extension'), this._executable.config.get('db.dumps', 'dumps'));
+  }
+
+  /**
+   * Create a timestamped dump file name "<database>-<hash>-<YYYYMMDD-HHMMSS>.sql".
+   * 
+   * @param {string} database 
+   * @param {string} hash 
+   * @returns {string}
+   */
+  file(database, hash) {
+    const stamp = new Date().toISOString().replace(/\..+$/, '').replace(/[-:]/g, '').replace('T', '-');
+
+    return Path.join(this.directory, [database, hash.substring(0, 8), stamp].join('-') + '.sql');
+  }
+
+  /**
+   * Get all dumps in the dump directory, the newest is first.
+   * 
+   * @param {string} [database] Only dumps of this database, matched on the full name pattern of {@link file}
+   * @returns {DumpFile[]}
+   * 
+   * @typedef {Object} DumpFile
+   * @property {string} path
+   * @property {string} name
+   * @property {Date} time
+   * @property {number} size
+   */
+  list(database = null) {
+    if (!FS.existsSync(this.directory)) return [];
+    const pattern = database === null ? null : new RegExp('^' + database.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '-[^-]+-\\d{8}-\\d{6}\\.sql');
+
+    return FS.readdirSync(this.directory)
+      .filter(name => /\.sql(\.gz)?$/.test(name) && (pattern === null || pattern.test(name)))
+      .map(name => {
+        const stat = FS.statSync(Path.join(this.directory, name));
+        return {path: Path.join(this.directory, name), name, time: stat.mtime, size: stat.size};
+      })
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Remove old dumps of a database.
+   * 
+   * @param {string} database 
+   * @param {number} keep Keep the newest dumps, 0 to keep all
+   * @param {number} maxAge Remove dumps older than days, 0 to disable
+   * @returns {DumpFile[]} The removed dumps
+   */
+  rotate(database, keep, maxAge) {
+    const limit = Date.now() - maxAge * 24 * 60 * 60 * 1000;
+    const removed = this.list(database).filter((dump, index) => (keep > 0 && index >= keep) || (maxAge > 0 && dump.time.getTime() < limit));
+
+    for (const dump of removed) {
+      if (this._executable.system.dryRun) {
+        this._executable.system.dryRun.record('remove', 'remove ' + dump.path, this.directory);
+      } else {
+        FS.unlinkSync(dump.path);
+      }
+    }
+    return removed;
+  }
+
+}
+
+class DryRun {
+
+  /**
+   * Stub outputs for recorded commands, the first matching pattern is used.
+   * 
+   * @returns {Array<[RegExp, string]>}
+   */
+  static get stubs() {
+    if (this._stubs === undefined) {
+      this._stubs = [
+        [/rev-parse --short HEAD/, '0000000'],
+        [/rev-parse HEAD/, '0'.repeat(40)],
+        [/branch --show-current/, 'main'],
+        [/--symbolic-full-name @\{upstream\}/, 'origin/main'],
+        [/rev-list --left-right --count/, '0\t0'],
+        [/getConnectionOptions/, 'dry_run'],
+        [/^node -v$/, 'v0.0.0'],
+      ];
+    }
+    return this._stubs;
+  }
+
+  /**
+   * @param {Log} log 
+   */
+  constructor(log) {
+    this._log = log;
+    this.plan = [];
+  }
+
+  /**
+   * Record a command instead of executing it.
+   * 
+   * @param {string} channel [exec, sh, shell, write, mkdir, remove]
+   * @param {string} command 
+   * @param {string} cwd 
+   * @returns {string} The stub output
+   */
+  record(channel, command, cwd) {
+    this.plan.push({channel, command, cwd});
+    this._log.note('[DRY-RUN #' + this.plan.length + '] [@cwd] [command]', {'@cwd': cwd, 'command': command});
+
+    const stub = DryRun.stubs.find(([pattern]) => pattern.test(command));
+    return stub ? stub[1] : '';
+  }
+
+}
+
+class Yaml {
+
+  /**
+   * Parse a YAML subset: block mappings and sequences, "|" block scalars, flow sequences and mappings,
+   * quoted and plain scalars and comments.
+   * 
+   * @param {string} content 
+   * @returns {any}
+   */
+  static parse(content) {
+    const lines = [];
+
+    for (const raw of content.split(/\r?\n/)) {
+      const text = Yaml.stripComment(raw).trimEnd();
+      if (!text.trim().length || text.trim() === '---') {
+        lines.push({indent: -1, text: '', raw});
+      } else {
+        lines.push({indent: text.length - text.trimStart().length, text: text.trim(), raw});
+      }
+    }
+    const start = lines.findIndex(line => line.indent !== -1);
+    if (start === -1) return null;
+    return Yaml.parseBlock(lines, start, lines[start].indent)[0];
+  }
+
+  /**
+   * @param {string} text 
+   * @returns {string}
+   */
+  static stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      if (quote === null && (text[i] === '"' || text[i] === '\'')) {
+        quote = text[i];
+      } else if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (quote !== null && text[i] === quote) {
+        quote = null;
+      } else if (quote === null && text[i] === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+        return text.substring(0, i);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * @param {Object[]} lines 
+   * @param {number} index 
+   * @returns {number}
+   */
+  static next(lines, index) {
+    while (index < lines.length && lines[index].indent === -1) index++;
+    return index;
+  }
+
+  /**
+   * @param {Object[]} lines 
+   * @param {number} index 
+   * @param {number} indent 
+   * @returns {Array} [value, next index]
+   */
+  static parseBlock(lines, index, indent) {
+    if (Yaml.isItem(lines[index].text)) {
+      return Yaml.parseSequence(lines, index, indent);
+    }
+    return Yaml.parseMapping(lines, index, indent);
+  }
+
+  /**
+   * @param {string} text 
+   * @returns {boolean}
+   */
+  static isItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * @param {string} text 
+   * @returns {(Array|null)} [key, rest]
+   */
+  static matchKey(text) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"[{][^:]*?)\s*:(?:\s+(.*))?$/);
+
+    if (match === null) return null;
+    return [Yaml.scalar(match[1]), match[2] === undefined ? '' : match[2]];
+  }
+
+  static parseSequence(lines, index, indent) {
+    const sequence = [];
+
+    index = Yaml.next(lines, index);
+    while (index < lines.length && lines[index].indent === indent && Yaml.isItem(lines[index].text)) {
+      const rest = lines[index].text.substring(1).trim();
+
+      if (!rest.length) {
+        const next = Yaml.next(lines, index + 1);
+        if (next < lines.length && lines[next].indent > indent) {
+          const [value, after] = Yaml.parseBlock(lines, next, lines[next].indent);
+          sequence.push(value);
+          index = after;
+        } else {
+          sequence.push(null);
+          index = next;
+        }
+      } else if (Yaml.isItem(rest) || Yaml.matchKey(rest) !== null) {
+        const offset = indent + lines[index].text.length - rest.length;
+        lines[index] = {indent: offset, text: rest, raw: lines[index].raw};
+        const [value, after] = Yaml.parseBlock(lines, index, offset);
+        sequence.push(value);
+        index = after;
+      } else {
+        sequence.push(Yaml.scalar(rest));
+        index = Yaml.next(lines, index + 1);
+      }
+    }
+    return [sequence, index];
+  }
+
+  static parseMapping(lines, index, indent) {
+    const mapping = {};
+
+    index = Yaml.next(lines, index);
+    while (index < lines.length && lines[index].indent === indent && !Yaml.isItem(lines[index].text)) {
+      const match = Yaml.matchKey(lines[index].text);
+
+      if (match === null) {
+        throw new LoshError('Invalid YAML line ' + (index + 1) + ': ' + lines[index].text);
+      }
+      const [key, rest] = match;
+
+      if (rest === '|' || rest === '>') {
+        const block = [];
+        let blockIndent = null;
+
+        index++;
+        while (index < lines.length && (lines[index].indent === -1 || lines[index].indent > indent)) {
+          if (lines[index].indent !== -1) {
+            if (blockIndent === null) blockIndent = lines[index].indent;
+            block.push(lines[index].raw.substring(blockIndent).trimEnd());
+          } else if (blockIndent !== null) {
+            block.push('');
+          }
+          index++;
+        }
+        while (block.length && !block[block.length - 1].length) block.pop();
+        mapping[key] = rest === '|' ? block.join('\n') + '\n' : block.join(' ') + '\n';
+      } else if (rest.length) {
+        mapping[key] = Yaml.scalar(rest);
+        index = Yaml.next(lines, index + 1);
+      } else {
+        const next = Yaml.next(lines, index + 1);
+        if (next < lines.length && (lines[next].indent > indent || (lines[next].indent === indent && Yaml.isItem(lines[next].text)))) {
+          const [value, after] = Yaml.parseBlock(lines, next, lines[next].indent);
+          mapping[key] = value;
+          index = after;
+        } else {
+          mapping[key] = null;
+          index = next;
+        }
+      }
+    }
+    return [mapping, index];
+  }
+
+  /**
+   * Split a flow collection on top level commas.
+   * 
+   * @param {string} text Content without brackets
+   * @returns {string[]}
+   */
+  static splitFlow(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote !== null) {
+        if (char === '\\' && quote === '"') {
+          current += char + text[++i];
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim().length) parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * @param {string} text 
+   * @returns {any}
+   */
+  static scalar(text) {
+    text = text.trim();
+    if (text.startsWith('"')) return JSON.parse(text);
+    if (text.startsWith('\'')) return text.substring(1, text.length - 1).replace(/''/g, '\'');
+    if (text.startsWith('[') && text.endsWith(']')) {
+      return Yaml.splitFlow(text.substring(1, text.length - 1)).map(item => Yaml.scalar(item));
+    }
+    if (text.startsWith('{') && text.endsWith('}')) {
+      const mapping = {};
+      for (const item of Yaml.splitFlow(text.substring(1, text.length - 1))) {
+        const match = Yaml.matchKey(item);
+        if (match === null) throw new LoshError('Invalid YAML flow mapping: ' + text);
+        mapping[match[0]] = match[1].length ? Yaml.scalar(match[1]) : null;
+      }
+      return mapping;
+    }
+    if (['null', '~', ''].includes(text)) return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^-?(\d+|\d*\.\d+)$/.test(text)) return Number(text);
+    return text;
+  }
+
+}
+
+class Executable {
+
+  /**
+   * The filters for template placeholders, e.g. "{{name|machine}}".
+   * 
+   * @returns {Object<string, function(string): string>}
+   */
+  static get filters() {
+    const words = (value) => value.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(word => word.length);
+    const capitalize = (word) => word.charAt(0).toUpperCase() + word.substring(1).toLowerCase();
+
+    return {
+      machine: (value) => words(value).join('_').toLowerCase(),
+      kebab: (value) => words(value).join('-').toLowerCase(),
+      camel: (value) => words(value).map((word, index) => index ? capitalize(word) : word.toLowerCase()).join(''),
+      pascal: (value) => words(value).map(capitalize).join(''),
+      title: (value) => words(value).map(capitalize).join(' '),
+      upper: (value) => value.toUpperCase(),
+      lower: (value) => value.toLowerCase(),
+    };
+  }
+
+  /**
+   * @param {System} system 
+   * @param {string} name
+   * @param {string} file 
+   */
+  constructor(system, name, file) {
+    this.drush = new Drush(this);
+    this.git = new Git(this);
+    this.composer = new Composer(this);
+    this.node = new Node(this);
+    this.deploy = new Deploy(this);
+    this.dumps = new Dumps(this);
+    this.system = system;
+    this.name = name;
+    this._strict = false;
+    this._broken = null;
+    if (typeof file === 'string') {
+      this.file = file;
+      this._factory = undefined;
+    } else {
+      this.file = null;
+      this._factory = file;
+    }
+  }
+
+  async init() {
+    
+  }
+
+  /**
+   * @returns {Log}
+   */
+  get log() {
+    return this.system.log;
+  }
+
+  /**
+   * @returns {Config}
+   */
+  get config() {
+    return this.system.config;
+  }
+
+  /**
+   * @returns {NodeRequire}
+   */
+  get require() {
+    return this.system.require;
+  }
+
+  /**
+   * Returns the extname of the representing file. By native code it will return ".js".
+   * 
+   * @returns {string}
+   */
+  get extname() {
+    if (this.file === null) return '.js';
+    return Path.extname(this.file);
+  }
+
+  /**
+   * Returns the function if exist, the recipe object for ".json" and ".yml" commands.
+   * 
+   * @returns {Function}
+   */
+  get factory() { 
+    if (this._factory === undefined) {
+      switch (this.extname) {
+        case '.js':
+          this._factory = require(this.file);
+          break;
+        case '.json':
+          this._factory = JSON.parse(FS.readFileSync(this.file).toString());
+          break;
+        case '.yml':
+        case '.yaml':
+          this._factory = Yaml.parse(FS.readFileSync(this.file).toString());
+          break;
+        case '.mjs':
+          return null;
+        default:
+          this._factory = null;
+      }
+    }
+    return this._factory;
+  }
+
+  /**
+   * Prepare the factory of ES modules with dynamic import, must be awaited before using params or description
+   * of ".mjs" commands. The default export is the function, "params", "description" and "override" can be
+   * named exports. A module that can not be imported or has no default export function marks the executable
+   * as broken.
+   * 
+   * @returns {Promise<this>}
+   */
+  async prepare() {
+    if (this._factory === undefined && this.extname === '.mjs') {
+      try {
+        const module = await import(Url.pathToFileURL(this.file).href);
+        const factory = module.default;
+
+        if (typeof factory !== 'function') {
+          throw new LoshError('The module has no default export function.');
+        }
+        for (const key of ['params', 'description', 'override']) {
+          if (module[key] !== undefined) factory[key] = module[key];
+        }
+        this._factory = factory;
+      } catch (error) {
+        this._factory = null;
+        this._broken = this.log.error('The command [!file] could not be loaded: [message]', {'!file': this.relative(this.file), 'message': error.message});
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Returns the error of a command that could not be loaded by {@link prepare}.
+   * 
+   * @returns {(Error|null)}
+   */
+  get broken() {
+    return this._broken;
+  }
+
+  /**
+   * Returns the parameter of the command.
+   * 
+   * A param is declared as [name, description, options, fallback]. A name starting with "!" is required.
+   * A name starting with "-" declares an option with its aliases, e.g. "--force|-f". The type of the
+   * value can be appended with ":" (boolean, string, number) and "[]" marks it as repeatable,
+   * e.g. "--exclude|-e:string[]". Options without type are boolean, or string if they have options.
+   * A param can also be declared as object {name, description, options, fallback, hidden}, hidden params
+   * are not shown in the usage.
+   * 
+   * @returns {Param[]}
+   * 
+   * @typedef {Object} Param
+   * @property {string} name
+   * @property {string} type "argument" or "option"
+   * @property {string} datatype "string", "boolean" or "number"
+   * @property {string[]} aliases
+   * @property {boolean} repeat
+   * @property {boolean} required
+   * @property {string} description
+   * @property {string[]} options
+   * @property {any} fallback
+   * @property {boolean} hidden
+   * @property {string} usage
    */
   get params() {
     if (this._params === undefined) {
@@ -458,26 +2011,58 @@ class Executable {
       const params = this.factory && this.factory.params || null;
       if (params === null) return this._params;
 
-      for (const value of params) {
-        if (!Array.isArray(value)) value = [value];
+      for (let value of params) {
         const param = {
           required: false,
+          repeat: false,
+          hidden: false,
         };
-        const [ name, description, options, fallback ] = value;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          param.hidden = !!value.hidden;
+          value = [value.name, value.description, value.options, value.fallback];
+        }
+        if (!Array.isArray(value)) value = [value];
+        let [ name, description, options, fallback ] = value;
 
         if (name.startsWith('!')) {
-          param.name = name.substring(1);
+          name = name.substring(1);
           param.required = true;
-        } else {
-          param.name = name;
         }
+        if (name.endsWith('[]')) {
+          name = name.substring(0, name.length - 2);
+          param.repeat = true;
+        }
+        const [ names, datatype ] = name.split(':');
+
         param.description = description || null;
         param.options = options && (Array.isArray(options) ? options : [options]) || null;
-        param.fallback = fallback || null;
-        param.type = 'argument';
+        param.fallback = (fallback === undefined ? null : fallback);
+
+        if (names.startsWith('-')) {
+          const aliases = names.split('|');
+          const long = aliases.find(alias => alias.startsWith('--')) || aliases[0];
+
+          param.type = 'option';
+          param.name = long.replace(/^-+/, '');
+          param.aliases = aliases.map(alias => alias.replace(/^-+/, ''));
+          param.datatype = datatype || (param.options ? 'string' : 'boolean');
+
+          param.usage = aliases.join('|');
+          if (param.datatype !== 'boolean') {
+            param.usage += '=<' + (param.options ? param.options.join('|') : param.datatype) + '>';
+          }
+        } else {
+          param.type = 'argument';
+          param.name = names;
+          param.aliases = [names];
+          param.datatype = datatype || 'string';
 
-        param.usage = param.options ? param.options.join('|') : param.name;
-        param.usage += param.fallback ? '=' + param.fallback : '';
+          param.usage = param.options ? param.options.join('|') : param.name;
+          param.usage += param.fallback !== null ? '=' + param.fallback : '';
+        }
+        if (param.repeat) {
+          param.usage += '...';
+        }
         if (param.required) {
           param.usage = '<' + param.usage + '>';
         } else {
@@ -491,12 +2076,39 @@ class Executable {
   }
 
   /**
-   * Returns the description of the command if exits.
+   * Returns the description of the command if exits, the first header line for shell and PHP commands.
    * 
    * @returns {string}
    */
   get description() {
-    return this.factory && this.factory.description || null;
+    if (this.factory && this.factory.description) return this.factory.description;
+    return this.header && this.header.split('\n')[0] || null;
+  }
+
+  /**
+   * Returns the leading comment of a shell or PHP command file without the shebang.
+   * 
+   * @returns {(string|null)}
+   */
+  get header() {
+    if (!['.sh', '.php'].includes(this.extname)) return null;
+    const lines = [];
+    let docblock = false;
+
+    for (const line of FS.readFileSync(this.file).toString().split(/\r?\n/)) {
+      if (line.startsWith('#!') || (this.extname === '.php' && line.trim() === '<?php') || (!line.trim().length && !lines.length)) continue;
+      if (this.extname === '.php' && (docblock || line.trim().startsWith('/*'))) {
+        docblock = !line.includes('*/');
+        const text = line.trim().replace(/^\/\*+\s?|\s*\*+\/$|^\*\s?/g, '');
+        if (text.length || lines.length) lines.push(text);
+        if (!docblock) break;
+        continue;
+      }
+      if (!line.startsWith('#') && !(this.extname === '.php' && line.startsWith('//'))) break;
+      lines.push(line.replace(/^(#|\/\/)\s?/, ''));
+    }
+    while (lines.length && !lines[lines.length - 1].length) lines.pop();
+    return lines.length ? lines.join('\n') : null;
   }
 
   /**
@@ -509,7 +2121,7 @@ class Executable {
 
     if (this.params.length) {
       for (const param of this.params) {
-        output.push(param.usage);
+        if (!param.hidden) output.push(param.usage);
       }
     }
     return output.join(' ');
@@ -574,6 +2186,7 @@ class Executable {
    * Execute commanc compatible mode.
    * 
    * @param {string} command full command
+   * @param {string} [input] written to stdin
    * @returns {Promise<ExecResult>}
    * 
    * @typedef {Object} ExecResult
@@ -581,11 +2194,20 @@ class Executable {
    * @property {string} out
    * @property {string} err
    */
-  exec(command) {
+  exec(command, input = null) {
+    if (this.system.dryRun) {
+      return Promise.resolve({error: null, out: this.system.dryRun.record('exec', command, process.cwd()), err: ''});
+    }
+    this.log.debug('Exec [command]', {'command': command});
     return new Promise((resolve) => {
-      ShellExec(command, (error, out, err) => {
+      const child = ShellExec(command, (error, out, err) => {
+        this.log.append(out + err);
         resolve({error, out, err});
       });
+
+      if (input !== null) {
+        child.stdin.end(input);
+      }
     });
   }
 
@@ -597,6 +2219,9 @@ class Executable {
    * @returns {Promise<Object>}
    */
   sh(args, cwd = null) {
+    if (this.system.dryRun) {
+      return Promise.resolve({out: this.system.dryRun.record('sh', args.join(' '), cwd || this.system.paths.drupal || process.cwd()), err: '', code: 0});
+    }
     return new Promise((resolve, reject) => {
       const data = {
         out: '',
@@ -607,6 +2232,7 @@ class Executable {
         shell: true,
       };
 
+      this.log.debug('Execute [command] in [@cwd]', {'command': args.join(' '), '@cwd': options.cwd});
       const command = ShellSpawn(args.shift(), args, options);
 
       command.on('error', error => {
@@ -623,6 +2249,7 @@ class Executable {
       });
 
       command.on('close', code => {
+        this.log.append(data.out + data.err);
         data.code = code;
         if (code === 0) {
           resolve(data)
@@ -642,15 +2269,31 @@ class Executable {
    * @returns {Promise<Object>}
    */
   shell(args, cwd = null) {
+    if (this.system.dryRun) {
+      this.system.dryRun.record('shell', args.join(' '), cwd || this.system.paths.drupal || process.cwd());
+      return Promise.resolve({code: 0});
+    }
     return new Promise((resolve, reject) => {
       const options = {
         cwd: cwd || this.system.paths.drupal || process.cwd(),
         shell: true,
-        stdio: 'inherit',
+        stdio: this.log.file === null ? 'inherit' : ['inherit', 'pipe', 'pipe'],
       };
 
+      this.log.debug('Execute [command] in [@cwd]', {'command': args.join(' '), '@cwd': options.cwd});
       const command = ShellSpawn(args.shift(), args, options);
 
+      if (this.log.file !== null) {
+        command.stdout.on('data', (chunk) => {
+          process.stdout.write(chunk);
+          this.log.append(chunk);
+        });
+        command.stderr.on('data', (chunk) => {
+          process.stderr.write(chunk);
+          this.log.append(chunk);
+        });
+      }
+
       command.on('error', error => {
         this.system.log.error(error.message);
         reject({ error });
@@ -666,6 +2309,168 @@ class Executable {
     });
   }
 
+  /**
+   * Find a declared param by one of its names.
+   * 
+   * @param {string} name 
+   * @param {string} [type] Only params of this type ("argument" or "option")
+   * @returns {(Param|null)}
+   */
+  getParam(name, type = null) {
+    return this.params.find(param => (type === null || param.type === type) && param.aliases.includes(name)) || null;
+  }
+
+  /**
+   * Validate and set the value of a param in the args.
+   * 
+   * @param {Param} param 
+   * @param {any} value 
+   * @returns {(LoshError|null)}
+   */
+  setArg(param, value) {
+    if (param.datatype === 'boolean' && typeof value !== 'boolean') {
+      if (['true', '1', 'yes'].includes(value)) {
+        value = true;
+      } else if (['false', '0', 'no'].includes(value)) {
+        value = false;
+      } else {
+        return this.log.error('The option [!option] only accepts a boolean, [!value] given.', {'!option': param.name, '!value': value});
+      }
+    } else if (param.datatype === 'number') {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) {
+        return this.log.error('The param [!param] only accepts a number, [!value] given.', {'!param': param.name, '!value': value});
+      }
+      value = number;
+    }
+    if (param.options && !param.options.includes(value)) {
+      return this.log.error('The value [!value] is not allowed for [!param]. Allowed: [options]', {'!value': value, '!param': param.name, 'options': param.options.join(', ')});
+    }
+    if (param.repeat) {
+      this.args[param.name] = this.args[param.name] || [];
+      this.args[param.name].push(value);
+    } else {
+      this.args[param.name] = value;
+    }
+    return null;
+  }
+
+  /**
+   * Parse the arguments into "this.args".
+   * 
+   * Positional arguments are mapped on the declared arguments in order, the rest is collected in "this.args._".
+   * Every declared param can also be set by name, e.g. "--type=update", options accept "--name value",
+   * "--name=value", "-n value", combined short booleans "-abc" and "--no-name" for booleans.
+   * Everything after "--" is passed unparsed to "this.args._". Commands without declaration accept all arguments unparsed.
+   * 
+   * @param {string[]} args 
+   * @returns {(LoshError|null)}
+   */
+  parse(args) {
+    this._args = args;
+    this.args = {
+      _: [],
+    };
+    if (this.factory === null || !this.factory.params) {
+      this.args._.push(...args);
+      return null;
+    }
+
+    const positionals = [];
+    const rest = [];
+    let error = null;
+    for (let i = 0; i < args.length && error === null; i++) {
+      const arg = args[i];
+
+      if (arg === '--') {
+        rest.push(...args.slice(i + 1));
+        break;
+      } else if (arg.startsWith('--')) {
+        const split = arg.indexOf('=');
+        const name = split === -1 ? arg.substring(2) : arg.substring(2, split);
+        let value = split === -1 ? undefined : arg.substring(split + 1);
+        let param = this.getParam(name);
+
+        if (param === null && name.startsWith('no-')) {
+          param = this.getParam(name.substring(3), 'option');
+          if (param !== null && param.datatype === 'boolean' && value === undefined) {
+            value = false;
+          } else {
+            param = null;
+          }
+        }
+        if (param === null) {
+          error = this.log.error('The option [!option] is unknown. See [@usage]', {'!option': '--' + name, '@usage': this.usage});
+          break;
+        }
+        if (value === undefined) {
+          if (param.datatype === 'boolean') {
+            value = true;
+          } else if (i + 1 < args.length) {
+            value = args[++i];
+          } else {
+            error = this.log.error('The option [!option] requires a value.', {'!option': '--' + name});
+            break;
+          }
+        }
+        error = this.setArg(param, value);
+      } else if (arg.startsWith('-') && arg.length > 1 && isNaN(Number(arg))) {
+        const flags = arg.substring(1);
+
+        for (let f = 0; f < flags.length; f++) {
+          const param = this.getParam(flags[f], 'option');
+
+          if (param === null) {
+            error = this.log.error('The option [!option] is unknown. See [@usage]', {'!option': '-' + flags[f], '@usage': this.usage});
+            break;
+          }
+          if (param.datatype === 'boolean') {
+            error = this.setArg(param, true);
+          } else {
+            let value = flags.substring(f + 1).replace(/^=/, '');
+            if (!value.length) {
+              if (i + 1 < args.length) {
+                value = args[++i];
+              } else {
+                error = this.log.error('The option [!option] requires a value.', {'!option': '-' + flags[f]});
+                break;
+              }
+            }
+            error = this.setArg(param, value);
+            break;
+          }
+          if (error !== null) break;
+        }
+      } else {
+        positionals.push(arg);
+      }
+    }
+    if (error !== null) return error;
+
+    for (const param of this.params) {
+      if (param.type !== 'argument' || this.args[param.name] !== undefined) continue;
+      if (!positionals.length) break;
+      error = this.setArg(param, positionals.shift());
+      if (error !== null) return error;
+    }
+    this.args._.push(...positionals, ...rest);
+
+    for (const param of this.params) {
+      if (this.args[param.name] !== undefined) continue;
+      if (param.required) {
+        return this.log.error('The ' + param.type + ' [!argument] is required!', {'!argument': param.name});
+      }
+      if (param.repeat) {
+        this.args[param.name] = param.fallback === null ? [] : [].concat(param.fallback);
+      } else if (param.datatype === 'boolean') {
+        this.args[param.name] = param.fallback === null ? false : param.fallback;
+      } else {
+        this.args[param.name] = param.fallback;
+      }
+    }
+    return null;
+  }
+
   /**
    * Execute the command.
    * 
@@ -678,27 +2483,60 @@ class Executable {
    * @property {Error} [error]
    */
   async run(args) {
-    this._args = args;
-    this.args = {
-      _: [],
-    };
-    if (this.params.length) {
-      for (let i = 0; i < (args.length < this.params.length ? this.params.length : args.length); i++) {
-        if (this.params[i]) {
-          this.args[this.params[i].name] = args[i] || this.params[i].fallback;
-          if (this.params[i].required && this.args[this.params[i].name] === null) {
-            return {args, executable: this, error: this.log.error('The argument [!argument] is required!', {'!argument': this.params[i].name})};
-          }
-        } else {
-          this.args._.push(args[i]);
-        }
-      }
+    await this.prepare();
+    const error = this.parse(args);
+    if (error !== null) {
+      return {args, executable: this, error};
     }
-    
+    return this.invoke();
+  }
+
+  /**
+   * Run the command replaced by this override with the same arguments.
+   * 
+   * @returns {Promise<RunResult>}
+   */
+  parent() {
+    const chain = this.system.overrides[this.name] || [];
+    const current = this.file === null ? this._factory : this.file;
+    let index = chain.length;
+
+    if (current !== this.system.commands[this.name]) {
+      index = chain.findIndex(item => item.command === current);
+    }
+    if (index < 1) {
+      return Promise.resolve({args: this._args, executable: this, error: this.log.error('The command [@command] does not override another command.', {'@command': this.name})});
+    }
+    return new Executable(this.system, this.name, chain[index - 1].command).runWith(this);
+  }
+
+  /**
+   * Run the command with the parsed arguments of another executable.
+   * 
+   * @param {Executable} executable 
+   * @returns {Promise<RunResult>}
+   */
+  runWith(executable) {
+    this._args = executable._args;
+    this.args = executable.args;
+    return this.invoke();
+  }
+
+  /**
+   * Execute the command with the parsed arguments.
+   * 
+   * @returns {Promise<RunResult>}
+   */
+  async invoke() {
+    const args = this._args;
+
     try {
+      await this.prepare();
+      if (this.broken) return {args, executable: this, error: this.broken};
       await this.init();
       switch (this.extname) {
         case '.js':
+        case '.mjs':
           const data = (await this.factory.call(this)) || {};
   
           data.args = args;
@@ -706,6 +2544,16 @@ class Executable {
           return data;
         case '.sh':
           return this.shell(['sh', this.file, ...this._args]);
+        case '.php':
+          return this.drush.execute('php:script', '"' + this.file + '"', '--', ...this._args);
+        case '.json':
+        case '.yml':
+        case '.yaml':
+          const result = await this.recipe(this.factory);
+
+          result.args = args;
+          result.executable = this;
+          return result;
         default: 
           return {args, executable: this, error: this.log.error('The extname [@extname] is unknown.', {'@extname': this.extname})};
       }
@@ -716,6 +2564,119 @@ class Executable {
     }
   }
 
+  /**
+   * Split a command line into arguments, quotes group an argument.
+   * 
+   * @param {string} line 
+   * @returns {string[]}
+   */
+  split(line) {
+    const args = [];
+
+    line.replace(/"([^"]*)"|'([^']*)'|(\S+)/g, (match, double, single, plain) => {
+      args.push(double !== undefined ? double : (single !== undefined ? single : plain));
+    });
+    return args;
+  }
+
+  /**
+   * Check a condition against the args or other values. A string requires a set value ("!name" an unset value),
+   * an object requires equal values (an array of allowed values), an array requires all conditions.
+   * 
+   * @param {(string|Object|Array)} condition 
+   * @param {Object<string, any>} [values] 
+   * @returns {boolean}
+   */
+  matches(condition, values = this.args) {
+    if (condition === undefined || condition === null) return true;
+    if (Array.isArray(condition)) return condition.every(item => this.matches(item, values));
+    if (typeof condition === 'string') {
+      const name = condition.replace(/^!/, '');
+      const value = values[name];
+      const set = Array.isArray(value) ? value.length > 0 : !!value;
+
+      return condition.startsWith('!') ? !set : set;
+    }
+    return Object.keys(condition).every(name => {
+      const expected = Array.isArray(condition[name]) ? condition[name] : [condition[name]];
+
+      return expected.map(String).includes(String(values[name]));
+    });
+  }
+
+  /**
+   * Execute the steps of a recipe. Every step has one of the keys drush, composer, git, run (a losh command)
+   * or shell with a command line, placeholders are replaced with the args. A step can have a "name",
+   * a "when" condition (see matches()) and "continueOnError".
+   * 
+   * @param {Recipe} recipe 
+   * @param {Object<string, any>} [values] Additional values for placeholders and conditions, e.g. form answers
+   * @returns {Promise<{error?: Error}>}
+   * 
+   * @typedef {Object} Recipe
+   * @property {string} [description]
+   * @property {Array} [params]
+   * @property {Object[]} steps
+   */
+  async recipe(recipe, values = {}) {
+    if (recipe === null || typeof recipe !== 'object' || !Array.isArray(recipe.steps)) {
+      return {error: this.log.error('The recipe has no [@steps] array.', {'@steps': 'steps'})};
+    }
+    const steps = recipe.steps;
+    const conditions = Object.assign({}, this.args, values);
+    const bag = {};
+
+    for (const name in conditions) {
+      if (name !== '_') bag[name] = Array.isArray(conditions[name]) ? conditions[name].join(' ') : conditions[name];
+    }
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      const kind = RECIPE_STEPS.find(key => step[key] !== undefined);
+      const label = '[' + (index + 1) + '/' + steps.length + '] ' + (step.name || kind);
+
+      if (kind === undefined) {
+        return {error: this.log.error('The step [index] has none of the keys: [keys]', {'index': index + 1, 'keys': RECIPE_STEPS.join(', ')})};
+      }
+      if (!this.matches(step.when, conditions)) {
+        this.log.note(label + ' skipped');
+        continue;
+      }
+      const command = this.replace(String(step[kind]), bag);
+      if (command === null) {
+        return {error: this.log.error(label + ' has required placeholders without value.')};
+      }
+
+      this.log.note(label + ': [@command]', {'@command': command});
+      let result = null;
+      switch (kind) {
+        case 'drush':
+          result = await this.drush.execute(command);
+          break;
+        case 'composer':
+          result = await this.composer.execute(command);
+          break;
+        case 'git':
+          result = await this.git.execute(command);
+          break;
+        case 'run':
+          result = await this.execute(this.split(command));
+          break;
+        case 'shell':
+          result = await this.shell([command]);
+          break;
+      }
+
+      const error = result instanceof Error ? result : result && result.error;
+      if (error) {
+        if (!step.continueOnError) {
+          return {error: this.log.failed(label + ' failed.')};
+        }
+        this.log.warn(label + ' failed, continue.');
+      }
+    }
+    return {};
+  }
+
   /**
    * HTTPS request a file.
    * 
@@ -737,37 +2698,172 @@ class Executable {
         let content = '';
         
         response.on('data', (chunk) => {
-          this.log.note('Get content (' + chunk.length + ' b) ...');
+          this.log.debug('Get content (' + chunk.length + ' b) ...');
           content += chunk;
         });
         response.on('end', () => {
           this.log.note('Received data (' + content.length + ' b) ...');
           resolve({content, url});
         });
+      }).on('error', (error) => {
+        reject({url, error: this.log.error(error.message + ' [' + url + ']')});
       });
     });
   }
 
   /**
-   * @param {string} content 
+   * HTTPS download a file, follows redirects.
+   * 
+   * @param {string} url 
+   * @param {string} path 
+   * @returns {Promise<DownloadResult>}
+   * 
+   * @typedef {Object} DownloadResult
+   * @property {string} url
+   * @property {string} path
+   * @property {Error} [error]
+   */
+  download(url, path) {
+    return new Promise((resolve, reject) => {
+      this.log.note('Download [' + url + '] ...');
+      HTTPS.get(url, (response) => {
+        if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+          response.resume();
+          return this.download(new URL(response.headers.location, url).toString(), path).then(resolve, reject);
+        }
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject({url, path, error: this.log.error(response.statusCode + ' - ' + response.statusMessage + ' [' + url + ']')});
+        }
+        const stream = FS.createWriteStream(path);
+
+        response.pipe(stream);
+        stream.on('finish', () => {
+          stream.close();
+          resolve({url, path});
+        });
+      }).on('error', (error) => {
+        reject({url, path, error: this.log.error(error.message + ' [' + url + ']')});
+      });
+    });
+  }
+
+  /**
+   * Returns the directories to lookup a resource, ordered by priority:
+   * project "loom/<type>", "~/.losh/<type>" and the bundled "src/<type>".
+   * 
+   * @param {string} type The resource type [templates, forms]
+   * @returns {string[]}
+   */
+  lookup(type) {
+    const directories = [];
+
+    for (const cwd of ['extension', 'home', 'source']) {
+      if (this.system.paths[cwd]) {
+        directories.push(Path.join(this.system.paths[cwd], type));
+      }
+    }
+    return directories;
+  }
+
+  /**
+   * Load a resource from the lookup directories, request it from the repository if no local file exists.
+   * 
+   * @param {string} type The resource type [templates, forms]
+   * @param {string} file The file relative to the resource directory
+   * @returns {Promise<LoadResult>}
+   * 
+   * @typedef {Object} LoadResult
+   * @property {string} content
+   * @property {string} [path]
+   * @property {string} [url]
+   * @property {Error} [error]
+   */
+  async load(type, file) {
+    for (const directory of this.lookup(type)) {
+      const path = Path.join(directory, file);
+
+      if (FS.existsSync(path)) {
+        this.log.note('Load [!path] ...', {'!path': path});
+        return {content: FS.readFileSync(path).toString(), path};
+      }
+    }
+    try {
+      return await this.request('https://raw.githubusercontent.com/loomgmbh/node-losh/' + VERSION + '/src/' + type + '/' + file);
+    } catch (data) {
+      return data;
+    }
+  }
+
+  /**
+   * Get the value of a placeholder from the bag, "config.<key>" falls back to the config.
+   * 
+   * @param {string} name 
    * @param {Object<string, string>} bag 
+   * @returns {any}
+   */
+  placeholder(name, bag) {
+    if (bag[name] === undefined && name.startsWith('config.')) {
+      return this.config.get(name.substring('config.'.length));
+    }
+    return bag[name];
+  }
+
+  /**
+   * Replace the placeholders of a template.
+   * 
+   * - "{{prefix name suffix}}" inserts the value with prefix and suffix if the value is set, "!name" is required
+   * - "{{name|machine|upper}}" applies filters to the value, see Executable.filters
+   * - "{{#if name}}...{{else}}...{{/if}}" renders a block if the value is set ("!name" if not set, "name == value" or "name != value" compares)
+   * - "{{#each name}}...{{this}}...{{/each}}" renders a block for every item of a list, with "this", "index" and the keys of object items
+   * - "@path" inserts a system path, "@!path" is required
+   * - "\{{" and "\@" are rendered as literal "{{" and "@", "\\{{" as a backslash before a placeholder (e.g. PHP namespaces)
+   * 
+   * @param {string} content 
+   * @param {Object<string, any>} bag 
    * @param {boolean} strict
    * @returns {string|null}
    */
   replace(content, bag = {}, strict = false) {
     let breaked = false;
-    content = content.replace(new RegExp('\\{\\{([^!a-zA-Z0-9]*)(!?[a-zA-Z0-9]+)([^!a-zA-Z0-9]*)\\}\\}', 'g'), (substring, ...args) => {
+    const placeholders = (text, bag) => text.replace(new RegExp('\\{\\{([^!a-zA-Z0-9]*)(!?[a-zA-Z0-9]+(?:\\.[a-zA-Z0-9]+)*)((?:\\|[a-zA-Z]+)*)([^!a-zA-Z0-9]*)\\}\\}', 'g'), (substring, ...args) => {
       let selected = args[1];
+      let required = false;
   
       if (selected.startsWith('!')) {
         selected = selected.substring(1);
-        if (bag[selected] === null || bag[selected] === undefined) {
-          breaked = true;
-          return '';
+        required = true;
+      }
+      let value = this.placeholder(selected, bag);
+      if (required && (value === null || value === undefined)) {
+        breaked = true;
+        return '';
+      }
+      if (!this.filled(value)) return '';
+      for (const name of args[2].split('|').slice(1)) {
+        const filter = Executable.filters[name];
+
+        if (filter === undefined) {
+          throw new ReplaceLoshError('The filter "' + name + '" does not exist, use one of: ' + Object.keys(Executable.filters).join(', '));
         }
+        value = Array.isArray(value) ? value.map(item => filter(String(item))) : filter(String(value));
       }
-      return (bag[selected]) ? args[0] + bag[selected] + args[2] : '';
+      return args[0] + value + args[3];
     });
+    const render = (nodes, bag) => nodes.map(node => {
+      if (typeof node === 'string') return placeholders(node, bag);
+      if (node.type === 'if') {
+        return render(this.condition(node.expression, bag) ? node.children : node.otherwise, bag);
+      }
+      const items = this.placeholder(node.expression, bag);
+      if (!this.filled(items)) return render(node.otherwise, bag);
+      return [].concat(items).map((item, index) => {
+        return render(node.children, Object.assign({}, bag, (item !== null && typeof item === 'object' ? item : {}), {this: item, index}));
+      }).join('');
+    }).join('');
+
+    content = content.replace(/\\(\\(?=\{\{)|\{\{|@)/g, (substring, token) => '\u0000' + {'@': 'a', '{{': 'b', '\\': 'c'}[token]);
+    content = render(this.blocks(content), bag);
     if (breaked) {
       if (strict) {
         throw new ReplaceLoshError('One or more required placeholders are not set in bag.');
@@ -793,10 +2889,96 @@ class Executable {
       if (strict) {
         throw new ReplaceLoshError('One or more required placeholders are not set in bag.');
       } else {
-        return null;
+        return null;
+      }
+    }
+    return content.replace(/\u0000([abc])/g, (substring, token) => ({a: '@', b: '{{', c: '\\'})[token]);
+  }
+
+  /**
+   * Parse the blocks of a template into a tree of strings and block nodes.
+   * A block tag alone on its line removes the whole line.
+   * 
+   * @param {string} content 
+   * @returns {Array<(string|TemplateBlock)>}
+   * 
+   * @typedef {Object} TemplateBlock
+   * @property {string} type [if, each]
+   * @property {string} expression
+   * @property {Array<(string|TemplateBlock)>} children
+   * @property {Array<(string|TemplateBlock)>} otherwise The nodes after "{{else}}"
+   */
+  blocks(content) {
+    const root = {type: null, children: []};
+    const stack = [root];
+    const regex = /\{\{(#if|#each|else|\/if|\/each)(?:\s+([^}]*?))?\s*\}\}([ \t]*\r?\n)?/g;
+    let last = 0;
+    let match = null;
+
+    root.target = root.children;
+    while ((match = regex.exec(content)) !== null) {
+      const current = stack[stack.length - 1];
+      const start = content.lastIndexOf('\n', match.index - 1) + 1;
+      const standalone = match[3] !== undefined && start >= last && /^[ \t]*$/.test(content.substring(start, match.index));
+      const tag = match[1];
+
+      current.target.push(content.substring(last, standalone ? start : match.index));
+      last = regex.lastIndex - (standalone ? 0 : (match[3] || '').length);
+      if (tag.startsWith('#')) {
+        const node = {type: tag.substring(1), expression: (match[2] || '').trim(), children: [], otherwise: []};
+
+        node.target = node.children;
+        current.target.push(node);
+        stack.push(node);
+      } else if (tag === 'else') {
+        if (current.type === null || current.target === current.otherwise) {
+          throw new ReplaceLoshError('Unexpected {{else}} in template.');
+        }
+        current.target = current.otherwise;
+      } else {
+        if (current.type !== tag.substring(1)) {
+          throw new ReplaceLoshError('Unexpected {{' + tag + '}} in template.');
+        }
+        stack.pop();
       }
     }
-    return content;
+    if (stack.length > 1) {
+      throw new ReplaceLoshError('The block {{#' + stack[stack.length - 1].type + '}} is not closed in template.');
+    }
+    root.target.push(content.substring(last));
+    return root.children;
+  }
+
+  /**
+   * Check an "{{#if}}" expression: "name", "!name", "name == value" or "name != value".
+   * 
+   * @param {string} expression 
+   * @param {Object<string, any>} bag 
+   * @returns {boolean}
+   */
+  condition(expression, bag) {
+    const match = expression.match(/^(!?)([a-zA-Z0-9]+(?:\.[a-zA-Z0-9]+)*)(?:\s*(==|!=)\s*(.*))?$/);
+
+    if (match === null) {
+      throw new ReplaceLoshError('The condition "' + expression + '" is invalid.');
+    }
+    const value = this.placeholder(match[2], bag);
+    if (match[3] !== undefined) {
+      const equal = [].concat(value).map(String).includes(match[4].replace(/^(["'])(.*)\1$/, '$2'));
+      return match[3] === '==' ? equal : !equal;
+    }
+    return match[1] ? !this.filled(value) : this.filled(value);
+  }
+
+  /**
+   * If a template value counts as set.
+   * 
+   * @param {any} value 
+   * @returns {boolean}
+   */
+  filled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && value !== undefined && value !== false && value !== '';
   }
 
   /**
@@ -807,7 +2989,8 @@ class Executable {
    * @returns {Promise<String>}
    */
   async template(template, placeholders = {}) {
-    const data = await this.request('https://raw.githubusercontent.com/loomgmbh/node-losh/' + VERSION + '/src/templates/' + template);
+    const data = await this.load('templates', template);
+    if (data.error) throw data.error;
     this.log.note('Replace placeholders in template ...');
     return this.replace(data.content, placeholders);
   }
@@ -821,43 +3004,255 @@ class Executable {
    * @typedef {Object} FormResult
    * @property {string} name
    * @property {LoshForm} form
-   * @property {Object<string, string>} bag
+   * @property {Object<string, any>} bag
    * @property {Error} [error]
    * 
    * @typedef {Object} LoshForm
    * @property {string} description
-   * @property {string[]} fields
+   * @property {Array<(string[]|FormField)>} fields
    * @property {Object<string, string>} files
+   * @property {Object[]} [after] Recipe steps after the files are written, with the answers as values, see recipe()
    */
   async form(name) {
-    const data = await this.request('https://raw.githubusercontent.com/loomgmbh/node-losh/' + VERSION + '/src/forms/' + name + '.json');
+    const data = await this.load('forms', name + '.json');
     if (data.error) return {name, error: data.error};
     const form = JSON.parse(data.content);
+    const fields = (form.fields || []).map(field => this.formField(field));
+    const answers = this.formAnswers();
+    const missing = [];
     const bag = {};
 
+    if (answers.error) return {name, form, bag, error: answers.error};
+
     if (form.description) {
       this.log.note(this.replace(form.description, bag));
     }
 
-    for (const index in form.fields) {
-      const required = !form.fields[index][0].startsWith('?');
-      if (!required) {
-        form.fields[index][0] = form.fields[index][0].substring(1);
+    for (let index = 0; index < fields.length; index++) {
+      const field = fields[index];
+
+      if (!this.matches(field.when, bag)) continue;
+      if (field.compute !== null) {
+        const value = this.replace(field.compute, bag);
+        if (value) {
+          bag[field.name] = value;
+        } else {
+          delete bag[field.name];
+        }
+        continue;
       }
-      const input = await this.readlineWhile('[' + (parseInt(index) + 1) + '/' + form.fields.length + '] ' + this.replace(form.fields[index][1], bag) + ': ', required);
-      if (input.error) return {name, form, bag, error: input.error};
-      const transformer = form.fields[index][2] || '{{' + form.fields[index][0] + '}}'
-      bag[form.fields[index][0]] = input.answer;
-      const value = this.replace(transformer, bag);
-      if (value) {
-        bag[form.fields[index][0]] = value; 
+      let input = null;
+      if (answers.values[field.name] !== undefined && answers.values[field.name] !== null) {
+        input = this.formValue(field, [].concat(answers.values[field.name]).join(','), this.formDefault(field, bag));
+        if (input.error) {
+          return {name, form, bag, error: this.log.error('Invalid answer for [!field]: [message]', {'!field': field.name, message: input.error})};
+        }
+      } else if (!this.interactive) {
+        input = this.formValue(field, '', this.formDefault(field, bag));
+        if (input.error) {
+          missing.push(field.name);
+          continue;
+        }
       } else {
-        delete bag[form.fields[index][0]];
+        input = await this.formInput(field, bag, '[' + (index + 1) + '/' + fields.length + '] ');
+        if (input.error) return {name, form, bag, error: input.error};
+      }
+      if (input.value === null) {
+        delete bag[field.name];
+        continue;
+      }
+      bag[field.name] = input.value;
+      if (field.type === 'text') {
+        const value = this.replace(field.transformer || '{{' + field.name + '}}', bag);
+        if (value) {
+          bag[field.name] = value; 
+        } else {
+          delete bag[field.name];
+        }
       }
     }
+    if (missing.length) {
+      return {name, form, bag, error: this.log.error('Missing answers for the required fields [fields]. Use [@set] or [@answers].', {fields: missing.join(', '), '@set': '--set name=value', '@answers': '--answers file.json'})};
+    }
     return {name, form, bag};
   }
 
+  /**
+   * Get the supplied answers for a form. The config "answers" is overwritten by environment variables
+   * "LOSH_ANSWER_<field>=value" (the field name exactly as in the form), by the JSON file of "--answers"
+   * and by "--set name=value".
+   * 
+   * @returns {{values?: Object<string, any>, error?: Error}}
+   */
+  formAnswers() {
+    const values = Object.assign({}, this.config.get('answers', {}));
+    const prefix = SCRIPT_NAME.toUpperCase() + '_ANSWER_';
+
+    for (const name in process.env) {
+      if (name.startsWith(prefix) && name.length > prefix.length) {
+        values[name.substring(prefix.length)] = process.env[name];
+      }
+    }
+
+    if (this.args.answers) {
+      const file = Path.resolve(this.system.paths.cwd, this.args.answers);
+      try {
+        Object.assign(values, JSON.parse(FS.readFileSync(file).toString()));
+      } catch (error) {
+        return {error: this.log.error('The answers file [!file] can not be read: [message]', {'!file': file, message: error.message})};
+      }
+    }
+    for (const answer of this.args.set || []) {
+      const index = answer.indexOf('=');
+
+      if (index < 1) {
+        return {error: this.log.error('The answer [!answer] must be given as [@format].', {'!answer': answer, '@format': 'name=value'})};
+      }
+      values[answer.substring(0, index)] = answer.substring(index + 1);
+    }
+    return {values};
+  }
+
+  /**
+   * Normalize a form field. A field is declared as [name, label, transformer], a name starting with "?" is optional,
+   * or as object with the keys of FormField.
+   * 
+   * @param {(string[]|Object)} declaration 
+   * @returns {FormField}
+   * 
+   * @typedef {Object} FormField
+   * @property {string} name
+   * @property {string} label
+   * @property {string} type [text, select, confirm, number, multiselect, path]
+   * @property {Array<{value: string, label: string}>} options For select and multiselect, declared as values or {value, label}
+   * @property {any} default Strings can contain placeholders
+   * @property {boolean} required Default true, except the field has a default
+   * @property {string} pattern Regex for text and path
+   * @property {string} message Message if the pattern does not match
+   * @property {(string|Object|Array)} when Condition on earlier answers, see matches()
+   * @property {string} compute Template for a computed field without question
+   * @property {string} transformer Template to transform a text answer
+   */
+  formField(declaration) {
+    if (Array.isArray(declaration)) {
+      declaration = {name: declaration[0], label: declaration[1], transformer: declaration[2]};
+    }
+    const field = Object.assign({
+      label: declaration.name,
+      type: 'text',
+      options: [],
+      default: null,
+      pattern: null,
+      message: null,
+      when: null,
+      compute: null,
+      transformer: null,
+    }, declaration);
+
+    if (field.name.startsWith('?')) {
+      field.name = field.name.substring(1);
+      field.required = false;
+    }
+    if (field.required === undefined) {
+      field.required = field.default === null && field.type !== 'confirm';
+    }
+    field.options = field.options.map(option => typeof option === 'object' ? {value: option.value, label: option.label || String(option.value)} : {value: option, label: String(option)});
+    return field;
+  }
+
+  /**
+   * Validate and convert an answer for a field.
+   * 
+   * @param {FormField} field 
+   * @param {string} answer 
+   * @param {any} fallback The default value
+   * @returns {{value?: any, error?: string}}
+   */
+  formValue(field, answer, fallback = null) {
+    answer = String(answer).trim();
+    if (!answer.length) {
+      if (fallback === null || fallback === '') {
+        return field.required ? {error: 'Require input!'} : {value: null};
+      }
+      answer = Array.isArray(fallback) ? fallback.join(',') : String(fallback);
+    }
+    const option = (value) => {
+      if (/^\d+$/.test(value) && field.options[parseInt(value) - 1]) return field.options[parseInt(value) - 1];
+      return field.options.find(item => String(item.value) === value) || null;
+    };
+
+    switch (field.type) {
+      case 'number':
+        if (isNaN(Number(answer))) return {error: field.message || 'Please enter a number.'};
+        return {value: Number(answer)};
+      case 'confirm':
+        if (['y', 'yes', 'true', '1'].includes(answer.toLowerCase())) return {value: true};
+        if (['n', 'no', 'false', '0'].includes(answer.toLowerCase())) return {value: false};
+        return {error: 'Please use "y" for yes and "n" for no.'};
+      case 'select':
+        if (option(answer) === null) return {error: field.message || 'Please choose one of: ' + field.options.map(item => item.value).join(', ')};
+        return {value: option(answer).value};
+      case 'multiselect':
+        const values = [];
+        for (const item of answer.split(',').map(part => part.trim()).filter(part => part.length)) {
+          if (option(item) === null) return {error: field.message || 'Please choose from: ' + field.options.map(item => item.value).join(', ')};
+          values.push(option(item).value);
+        }
+        return {value: values};
+      case 'path':
+        if (!FS.existsSync(Path.resolve(this.system.paths.cwd, answer))) return {error: 'The path "' + answer + '" does not exist.'};
+        // falls through to the pattern check
+      default:
+        if (field.pattern !== null && !new RegExp(field.pattern).test(answer)) {
+          return {error: field.message || 'The input does not match ' + field.pattern};
+        }
+        return {value: answer};
+    }
+  }
+
+  /**
+   * Get the default value of a field, placeholders are replaced with the answers so far.
+   * 
+   * @param {FormField} field 
+   * @param {Object<string, any>} bag 
+   * @returns {any}
+   */
+  formDefault(field, bag) {
+    return typeof field.default === 'string' ? this.replace(field.default, bag) : field.default;
+  }
+
+  /**
+   * Ask the user for the answer of a field.
+   * 
+   * @param {FormField} field 
+   * @param {Object<string, any>} bag The answers so far
+   * @param {string} prefix 
+   * @returns {Promise<{value?: any, error?: Error}>}
+   */
+  async formInput(field, bag, prefix = '') {
+    const fallback = this.formDefault(field, bag);
+    let text = prefix + this.replace(field.label, bag);
+    let result = null;
+
+    if (field.type === 'select' || field.type === 'multiselect') {
+      console.log(text + (field.type === 'multiselect' ? ' (comma separated)' : ''));
+      field.options.forEach((option, index) => console.log('\t' + (index + 1) + ') ' + option.label));
+      text = 'Choose';
+    }
+    if (field.type === 'confirm') {
+      text += ' [y/n]';
+    }
+    if (fallback !== null && fallback !== '') {
+      text += ' (' + (typeof fallback === 'boolean' ? (fallback ? 'y' : 'n') : [].concat(fallback).join(',')) + ')';
+    }
+    const input = await this.readlineWhile(text + ': ', (input) => {
+      result = this.formValue(field, input.answer, fallback);
+      return result.error || true;
+    });
+    if (input.error) return input;
+    return result;
+  }
+
   /**
    * Get an input from the user.
    * 
@@ -874,13 +3269,30 @@ class Executable {
       output: process.stdout, 
     });
     return new Promise((resolve) => {
+      let answered = false;
+
+      rl.on('close', () => {
+        if (answered) return;
+        console.log();
+        resolve({answer: '', error: this.log.error('No input available for [!question], the input stream is closed.', {'!question': text.replace(/:\s*$/, '')})});
+      });
       rl.question(text, (answer) => {
+        answered = true;
         rl.close();
         resolve({answer});
       });
     });
   }
 
+  /**
+   * If the user can answer questions.
+   * 
+   * @returns {boolean}
+   */
+  get interactive() {
+    return Boolean(process.stdin.isTTY);
+  }
+
   /**
    * Get an Input from the user, repeat if failed the check.
    * 
@@ -918,12 +3330,13 @@ class Executable {
   }
 
   /**
-   * Request a consent from the user.
+   * Request a consent from the user, always given with the option "--yes".
    * 
    * @param {string} text 
    * @returns {boolean}
    */
   async readlineAccept(text) {
+    if (this.args.yes) return true;
     const input = await this.readlineWhile(text + ' [y/n]: ', (input) => {
       if (input.answer !== 'y' && input.answer !== 'n') return 'Please use "y" for yes and "n" for no.';
       return true;
@@ -932,6 +3345,83 @@ class Executable {
     return input.answer === 'y';
   }
 
+  /**
+   * Create a unified diff of two texts, based on the longest common subsequence of lines.
+   * 
+   * @param {string} before 
+   * @param {string} after 
+   * @param {string} file The name in the header
+   * @param {number} context Unchanged lines around a change
+   * @returns {string} Empty if the texts are identical
+   */
+  diff(before, after, file = 'file', context = 3) {
+    const from = before.split('\n');
+    const to = after.split('\n');
+    const table = [];
+    const lines = [];
+    const output = ['--- ' + file, '+++ ' + file + ' (generated)'];
+
+    for (let i = from.length; i >= 0; i--) {
+      table[i] = new Uint32Array(to.length + 1);
+      for (let j = to.length - 1; i < from.length && j >= 0; j--) {
+        table[i][j] = from[i] === to[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < from.length || j < to.length) {
+      if (i < from.length && j < to.length && from[i] === to[j]) {
+        lines.push({type: ' ', text: from[i], i: i++, j: j++});
+      } else if (i < from.length && (j >= to.length || table[i + 1][j] >= table[i][j + 1])) {
+        lines.push({type: '-', text: from[i], i: i++, j});
+      } else {
+        lines.push({type: '+', text: to[j], i, j: j++});
+      }
+    }
+
+    let index = 0;
+    while (index < lines.length) {
+      if (lines[index].type === ' ') {
+        index++;
+        continue;
+      }
+      let end = index;
+      while (end < lines.length) {
+        if (lines[end].type !== ' ') {
+          end++;
+          continue;
+        }
+        let next = end;
+        while (next < lines.length && lines[next].type === ' ') next++;
+        if (next < lines.length && next - end <= context * 2) {
+          end = next;
+        } else {
+          end = Math.min(lines.length, end + context);
+          break;
+        }
+      }
+      const hunk = lines.slice(Math.max(0, index - context), end);
+
+      output.push('@@ -' + (hunk[0].i + 1) + ',' + hunk.filter(line => line.type !== '+').length + ' +' + (hunk[0].j + 1) + ',' + hunk.filter(line => line.type !== '-').length + ' @@');
+      hunk.forEach(line => output.push(line.type + line.text));
+      index = end;
+    }
+    return output.length > 2 ? output.join('\n') : '';
+  }
+
+  /**
+   * Create a directory with its parents, recorded in a dry run.
+   * 
+   * @param {string} path 
+   */
+  mkdir(path) {
+    if (this.system.dryRun) {
+      if (!FS.existsSync(path)) this.system.dryRun.record('mkdir', 'mkdir ' + path, Path.dirname(path));
+      return;
+    }
+    FS.mkdirSync(path, {recursive: true});
+  }
+
   /**
    * Write a file.
    * 
@@ -948,6 +3438,10 @@ class Executable {
    * @property {Error} [error]
    */
   async write(path, content, force = false) {
+    if (this.system.dryRun) {
+      this.system.dryRun.record('write', 'write ' + path + ' (' + content.length + ' b)', Path.dirname(path));
+      return {path, content, force, consent: true};
+    }
     try {
       this.log.note('Write file [!path] ...', {'!path': path});
       let consent = false;
@@ -958,6 +3452,7 @@ class Executable {
         }
       }
     
+      FS.mkdirSync(Path.dirname(path), {recursive: true});
       FS.writeFileSync(path, content);
       return {path, content, force, consent};
     } catch (error) {
@@ -978,11 +3473,83 @@ class System {
     return newArray;
   }
 
+  /**
+   * Check if a file can be a command: a command extension, not hidden and not a package manifest.
+   * JSON and YAML files must be recipes with a "steps" array.
+   * 
+   * @param {string} file The file name
+   * @param {string} directory 
+   * @returns {boolean}
+   */
+  static isCommandFile(file, directory) {
+    if (!COMMAND_EXTENSIONS.includes(Path.extname(file)) || file.startsWith('.') || ['package.json', 'package-lock.json', 'composer.json'].includes(file)) {
+      return false;
+    }
+    return ['.json', '.yml', '.yaml'].includes(Path.extname(file)) ? System.isRecipe(Path.join(directory, file)) : true;
+  }
+
+  /**
+   * Check if a JSON or YAML file is a recipe with a "steps" array.
+   * 
+   * @param {string} path 
+   * @returns {boolean}
+   */
+  static isRecipe(path) {
+    try {
+      const content = FS.readFileSync(path).toString();
+      const recipe = Path.extname(path) === '.json' ? JSON.parse(content) : Yaml.parse(content);
+
+      return recipe !== null && typeof recipe === 'object' && Array.isArray(recipe.steps);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Copy a file or directory recursive.
+   * 
+   * @param {string} from 
+   * @param {string} to 
+   */
+  static copy(from, to) {
+    if (FS.statSync(from).isDirectory()) {
+      FS.mkdirSync(to, {recursive: true});
+      for (const file of FS.readdirSync(from)) {
+        System.copy(Path.join(from, file), Path.join(to, file));
+      }
+    } else {
+      FS.copyFileSync(from, to);
+    }
+  }
+
+  /**
+   * Remove a file or directory recursive.
+   * 
+   * @param {string} path 
+   */
+  static remove(path) {
+    if (!FS.existsSync(path)) return;
+    if (FS.lstatSync(path).isDirectory()) {
+      for (const file of FS.readdirSync(path)) {
+        System.remove(Path.join(path, file));
+      }
+      FS.rmdirSync(path);
+    } else {
+      FS.unlinkSync(path);
+    }
+  }
+
   constructor(root) {
     this._log = null;
     this._root = root;
     this._commands = null;
     this._paths = null;
+    this._config = null;
+    this._origins = null;
+    this._overrides = null;
+    this._extensions = null;
+    this._hooking = [];
+    this.dryRun = null;
   }
 
   /**
@@ -999,6 +3566,27 @@ class System {
     return require;
   }
 
+  /**
+   * Load the config layered from bundled defaults, "~/.losh/losh.json", project "loom/.losh.json"
+   * and "LOSH_*" environment variables.
+   * 
+   * @returns {Config}
+   */
+  get config() {
+    if (this._config === null) {
+      this._config = new Config(this.log);
+      this._config.load(Path.join(this.paths.source, 'config.json'));
+      if (this.paths.home) {
+        this._config.load(Path.join(this.paths.home, SCRIPT_NAME + '.json'));
+      }
+      if (this.paths.extension) {
+        this._config.load(Path.join(this.paths.extension, '.' + SCRIPT_NAME + '.json'));
+      }
+      this._config.env(process.env, SCRIPT_NAME.toUpperCase() + '_', [SCRIPT_NAME.toUpperCase() + '_ANSWER_']);
+    }
+    return this._config;
+  }
+
   get paths() {
     if (this._paths === null) {
       let cwd = process.cwd();
@@ -1021,6 +3609,7 @@ class System {
       if (cwd) {
         this._paths.extension = Path.join(cwd, SCRIPT_DIRECTORY);
         this._paths.drupal = cwd;
+        this._paths.web = ['web', 'docroot'].map(name => Path.join(cwd, name)).find(path => FS.existsSync(path)) || cwd;
       } else {
         this.log.warn('No Drupal Root found!');
       }
@@ -1032,15 +3621,32 @@ class System {
     return this._paths;
   }
 
+  /**
+   * @returns {Extensions}
+   */
+  get extensions() {
+    if (this._extensions === null) {
+      this._extensions = new Extensions(this);
+    }
+    return this._extensions;
+  }
+
   /**
    * @returns {Object<string, import('lash/src/base/Executable')>}
    */
   get commands() {
     if (this._commands === null) {
       this._commands = {};
+      this._origins = {};
+      this._overrides = {};
       this.initCommands(cr);
       this.initCommands(cex);
       this.initCommands(cim);
+      this.initCommands(rollback);
+      this.initCommands(deployUnlock);
+      this.initCommands(deployHistory);
+      this.initCommands(dbDump);
+      this.initCommands(dbImport);
       this.initCommands(version);
       this.initCommands(debug);
       this.initCommands(list);
@@ -1048,38 +3654,325 @@ class System {
       this.initCommands(test);
       this.initCommands(install);
       this.initCommands(uninstall);
+      this.initCommands(update);
+      this.initCommands(completion);
+      this.initCommands(help);
+      for (const entry of this.extensions.installed) {
+        if (FS.existsSync(this.extensions.path(entry.name))) {
+          this.initCommands(this.extensions.commands(entry.name), 'extension:' + entry.name);
+        } else {
+          this.log.warn('The extension [!name] is registered but not installed.', {'!name': entry.name});
+        }
+      }
       if (this.paths.extension) {
-        this.initCommands(this.paths.extension);
+        this.initCommands(this.paths.extension, 'project');
+      }
+    }
+    return this._commands;
+  }
+
+  /**
+   * Returns where the commands come from: "native", "project" or "extension:<package>".
+   * 
+   * @returns {Object<string, string>}
+   */
+  get origins() {
+    if (this._origins === null) {
+      this.commands;
+    }
+    return this._origins;
+  }
+
+  /**
+   * @param {(string|Function)} path A command directory or a native command, named by its "command" property or function name
+   * @param {string} origin 
+   */
+  initCommands(path, origin = 'native') {
+    if (typeof path === 'string') {
+      for (const file of FS.readdirSync(path)) {
+        if (System.isCommandFile(file, path)) {
+          const name = file.substring(0, file.length - Path.extname(file).length);
+  
+          this.addCommand(name, Path.join(path, file), origin);
+        }
+      }
+    } else {
+      this.addCommand(path.command || path.name, path, origin);
+    }
+  }
+
+  /**
+   * Register a command. Overriding a native command must be explicit, see isOverride().
+   * 
+   * @param {string} name 
+   * @param {(string|Function)} command 
+   * @param {string} origin 
+   */
+  addCommand(name, command, origin) {
+    if (this._commands[name] !== undefined) {
+      if (this._origins[name] === 'native' && !this.isOverride(command)) {
+        if (typeof command === 'string' && Path.extname(command) === '.mjs') {
+          this.log.warn('The command [!file] is ignored because [@command] is a native command. Mark it as override with [@export] on its own line to replace it.', {'!file': command, '@command': name, '@export': 'export const override = true;'});
+        } else {
+          this.log.warn('The command [!file] is ignored because [@command] is a native command. Mark it as override to replace it.', {'!file': command, '@command': name});
+        }
+        return;
+      }
+      this._overrides[name] = this._overrides[name] || [];
+      this._overrides[name].push({command: this._commands[name], origin: this._origins[name]});
+    }
+    this._commands[name] = command;
+    this._origins[name] = origin;
+  }
+
+  /**
+   * Check if a command file is marked as override: ".js" files export "override = true", recipes
+   * have "override: true", other files contain a "@override" comment line. ES modules are not imported
+   * for the registry, so ".mjs" files must declare it on its own line as "export const override = true;"
+   * ("let" or "var" work too), other forms like "export { override }" are not detected.
+   * 
+   * @param {(string|Function)} command 
+   * @returns {boolean}
+   */
+  isOverride(command) {
+    if (typeof command !== 'string') return command.override === true;
+    if (Path.extname(command) === '.mjs') {
+      return /^export\s+(const|let|var)\s+override\s*=\s*true\s*;?\s*$/m.test(FS.readFileSync(command).toString());
+    }
+    if (['.js', '.json', '.yml', '.yaml'].includes(Path.extname(command))) {
+      try {
+        return new Executable(this, null, command).factory.override === true;
+      } catch (error) {
+        this.log.error('The command [!file] can not be loaded: [message]', {'!file': command, 'message': error.message});
+        return false;
+      }
+    }
+    return /^\s*(#|\/\/|\*)\s*@override\b/m.test(FS.readFileSync(command).toString());
+  }
+
+  /**
+   * Returns the commands replaced by an override, the latest is last.
+   * 
+   * @returns {Object<string, Array<{command: (string|Function), origin: string}>>}
+   */
+  get overrides() {
+    if (this._overrides === null) {
+      this.commands;
+    }
+    return this._overrides;
+  }
+
+  getExecutable(name) {
+    return new Executable(this, name, this.commands[name]);
+  }
+
+  /**
+   * Remove the global options from the arguments and apply them. Arguments after "--" are not touched.
+   * 
+   * @param {string[]} args 
+   * @returns {string[]}
+   */
+  globals(args) {
+    const rest = [];
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--') {
+        rest.push(...args.slice(i));
+        break;
+      } else if (args[i] === '--dry-run') {
+        this.dryRun = this.dryRun || new DryRun(this.log);
+      } else if (args[i] === '--verbose') {
+        this.log.level = Log.levels.debug;
+      } else if (args[i] === '--quiet') {
+        this.log.level = Log.levels.warn;
+      } else if (args[i] === '--log-file') {
+        this._logFile = true;
+      } else if (args[i] === '--log-format' || args[i].startsWith('--log-format=')) {
+        let format = null;
+
+        if (args[i].includes('=')) {
+          format = args[i].substring(args[i].indexOf('=') + 1);
+        } else if (['text', 'json'].includes(args[i + 1])) {
+          format = args[++i];
+        }
+        if (format === null) {
+          this.log.warn('The option [!option] requires a value, use "text" or "json".', {'!option': '--log-format'});
+        } else if (!['text', 'json'].includes(format)) {
+          this.log.warn('Unknown log format [!format], use "text" or "json".', {'!format': format});
+        } else {
+          this.log.format = format;
+        }
+      } else {
+        rest.push(args[i]);
       }
     }
-    return this._commands;
+    return rest;
+  }
+
+  /**
+   * Execute the script arguments with global options. A failed command sets the exit status 1,
+   * so scripts and CI can detect it.
+   * 
+   * @param {string[]} args 
+   * @returns {Promise<RunResult>}
+   */
+  async main(args) {
+    this._logFile = false;
+    args = this.globals(args);
+    if (this._logFile || this.config.get('log.file', false)) {
+      const command = args[0] || 'list';
+      const factory = this.commands[command] ? this.getExecutable(command).factory : null;
+
+      if (!factory || factory.logFile !== false) this.openLogFile(command);
+    }
+    const result = await this.execute(args);
+
+    if (result instanceof Error || (result && result.error)) {
+      process.exitCode = 1;
+    }
+    if (this.dryRun) {
+      this.log.note('Dry run: [count] step(s) recorded, nothing was executed.', {'count': this.dryRun.plan.length});
+    }
+    return result;
+  }
+
+  /**
+   * Write the log of this run into "<log.directory>/<timestamp>-<command>.log", relative to the project "loom/".
+   * Commands opt out with the property "logFile = false".
+   * 
+   * @param {string} command 
+   */
+  openLogFile(command) {
+    if (this.dryRun) {
+      this.log.debug('The log file is disabled in a dry run.');
+      return;
+    }
+    if (!this.paths.extension) {
+      this.log.warn('No project found, the log file is disabled.');
+      return;
+    }
+    const directory = Path.resolve(this.paths.extension, this.config.get('log.directory', 'logs'));
+    const stamp = new Date().toISOString().replace(/\..+$/, '').replace(/[-:]/g, '').replace('T', '-');
+
+    FS.mkdirSync(directory, {recursive: true});
+    this.log.file = Path.join(directory, stamp + '-' + command.replace(/[^a-zA-Z0-9_-]/g, '-') + '.log');
+    this.log.debug('Log into [!file]', {'!file': this.log.file});
   }
 
-  initCommands(path) {
-    if (typeof path === 'string') {
-      for (const file of FS.readdirSync(path)) {
-        if (['.js', '.sh'].includes(Path.extname(file))) {
-          const name = file.substring(0, file.length - Path.extname(file).length);
-  
-          this._commands[name] = Path.join(path, file);
+  /**
+   * Get the hooks of a command: command files "loom/hooks/<stage>-<name>.<ext>" or "<stage>-<name>.<suffix>.<ext>"
+   * sorted by file name, followed by the entries of config "hooks.<stage>-<name>". A ":" in the command name
+   * is replaced by "-" for files. Config entries are command lines or {shell: "<command>"}.
+   * Post hooks run only when the command succeeded.
+   * 
+   * @param {string} stage [pre, post]
+   * @param {string} name 
+   * @returns {Array<(string|Object)>} Files, command lines or shell objects
+   */
+  getHooks(stage, name) {
+    const hooks = [];
+
+    if (this.paths.extension) {
+      const directory = Path.join(this.paths.extension, 'hooks');
+      const prefix = stage + '-' + name.replace(/:/g, '-');
+
+      if (FS.existsSync(directory)) {
+        for (const file of FS.readdirSync(directory).sort()) {
+          const base = file.substring(0, file.length - Path.extname(file).length);
+
+          if (System.isCommandFile(file, directory) && (base === prefix || base.startsWith(prefix + '.'))) {
+            hooks.push(Path.join(directory, file));
+          }
         }
       }
-    } else {
-      this._commands[path.name] = path;
     }
+    return hooks.concat(this.config.get('hooks.' + stage + '-' + name, []));
   }
 
-  getExecutable(name) {
-    return new Executable(this, name, this.commands[name]);
+  /**
+   * Run the hooks of a stage with the parsed arguments of the executable.
+   * A failed hook aborts the hooks only in strict mode (config "hooks.strict"). A command line hook
+   * that runs a command whose hooks are already running fails instead of running it again.
+   * 
+   * @param {string} stage [pre, post]
+   * @param {Executable} executable 
+   * @returns {Promise<{error?: Error}>}
+   */
+  async runHooks(stage, executable) {
+    const strict = this.config.get('hooks.strict', false);
+
+    this._hooking.push(executable.name);
+    try {
+      for (const hook of this.getHooks(stage, executable.name)) {
+        let result = null;
+
+        if (typeof hook === 'string' && Path.isAbsolute(hook)) {
+          this.log.note('Run hook [!hook]', {'!hook': executable.relative(hook)});
+          result = await new Executable(this, stage + ':' + executable.name, hook).runWith(executable);
+        } else if (typeof hook === 'string') {
+          const args = hook.split(/\s+/).filter(part => part.length);
+
+          if (this._hooking.includes(args[0])) {
+            result = {error: this.log.error('The hook [@command] would run the hooks of [!name] again and is skipped.', {'@command': SCRIPT_NAME + ' ' + hook, '!name': args[0]})};
+          } else {
+            this.log.note('Run hook [@command]', {'@command': SCRIPT_NAME + ' ' + hook});
+            result = await this.execute(args);
+          }
+        } else if (hook && hook.shell) {
+          this.log.note('Run hook [@command]', {'@command': hook.shell});
+          result = await executable.shell([hook.shell]);
+        } else {
+          result = {error: this.log.error('The hook [hook] is invalid.', {'hook': JSON.stringify(hook)})};
+        }
+
+        const error = result instanceof Error ? result : result && result.error;
+        if (error) {
+          this.log.error('The [stage] hook failed for [@command].', {'stage': stage, '@command': executable.name});
+          if (strict) {
+            return {error};
+          }
+        }
+      }
+      return {};
+    } finally {
+      this._hooking.pop();
+    }
   }
 
   async execute(args) {
     const name = args.shift();
 
     if (this.commands[name]) {
-      return this.getExecutable(name).run(args);
+      const executable = await this.getExecutable(name).prepare();
+
+      if (executable.broken) {
+        return {args, executable, error: executable.broken};
+      }
+      if (this.dryRun && executable.factory && executable.factory.dryRun === false) {
+        return {args, executable, error: this.log.error('The command [@command] changes files directly and can not be simulated with [@option].', {'@command': name, '@option': '--dry-run'})};
+      }
+      const error = executable.parse(args);
+
+      if (error !== null) {
+        return {args, executable, error};
+      }
+      const pre = await this.runHooks('pre', executable);
+      if (pre.error) {
+        this.log.failed('Abort [@command] caused by strict hooks.', {'@command': name});
+        return {args, executable, error: pre.error};
+      }
+      const result = await executable.invoke();
+      if (result instanceof Error || (result && result.error)) {
+        if (this.getHooks('post', name).length) this.log.note('Skip post hooks of [@command] caused by the failed command.', {'@command': name});
+        return result;
+      }
+      const post = await this.runHooks('post', executable);
+      if (post.error && result && !result.error) {
+        result.error = post.error;
+      }
+      return result;
     } else {
-      const data = await this.getExecutable('list').run(args);
+      const data = await this.getExecutable('list').run([]);
       data.error = this.log.error('Command [@command] not found!', {'@command': name});
       return data;
     }
@@ -1112,30 +4005,287 @@ cr.description = 'Default cr function.';
  * @this {Executable}
  */
 async function cim() {
-  await this.drush.cim();
+  await this.drush.cim(this.args.yes);
 };
+cim.params = [
+  ['--yes|-y', 'Import the config without confirmation.'],
+];
 cim.description = 'Default cim function.';
 
 /**
  * @this {Executable}
  */
 async function cex() {
-  await this.drush.cex();
+  await this.drush.cex(this.args.yes);
 };
+cex.params = [
+  ['--yes|-y', 'Export the config without confirmation.'],
+];
 cex.description = 'Default cex function.';
 
+/**
+ * @this {Executable}
+ */
+async function rollback() {
+  try {
+    const hashes = this.deploy.getHashes();
+    const steps = this.args.steps;
+
+    if (steps < 1 || steps > hashes.length) {
+      return {error: this.log.error('Can not roll back [!steps] step(s), only [!count] previous deployment(s) recorded in [!path].', {'!steps': steps, '!count': hashes.length, '!path': this.relative(this.deploy.hashFile)})};
+    }
+    const hash = hashes[hashes.length - steps];
+    const current = await this.git.getCurrentHash();
+
+    this.log.note('Roll back [!steps] step(s) from [!current] to [!hash]', {'!steps': steps, '!current': current, '!hash': hash});
+    if (!(await this.readlineAccept('Do you want to roll back?'))) {
+      return {error: this.log.error('No consent. Abort!')};
+    }
+    this.strict(true);
+
+    this.log.note('Checkout [!hash]', {'!hash': hash});
+    await this.git.checkout(hash);
+    console.log();
+
+    this.log.note('Update composer');
+    await this.composer.install();
+    console.log();
+
+    this.log.note('Restore config');
+    await this.drush.cr();
+    await this.drush.cim(true);
+    console.log();
+
+    this.log.note('Final cache flush ...');
+    await this.drush.cr();
+    console.log();
+
+    await this.deploy.popHashes(steps);
+    this.log.warn('The code is checked out on [!hash] (detached HEAD). Checkout the branch again before the next deployment.', {'!hash': hash});
+    this.log.success('Rolled back.');
+  } catch (error) {
+    this.log.failed(error);
+    return error;
+  }
+};
+rollback.params = [
+  ['steps:number', 'The number of deployments to roll back.', null, 1],
+  ['--yes|-y', 'Roll back without confirmation.'],
+];
+rollback.description = 'Roll back to a previous deployment.';
+
+/**
+ * @this {Executable}
+ */
+async function dbDump() {
+  try {
+    this.strict(true);
+    const database = await this.drush.getDB();
+    let hash = 'nohash';
+    try {
+      hash = await this.git.getCurrentHash();
+    } catch (error) {
+      this.log.warn('No git hash available for the dump name.');
+    }
+    const file = this.dumps.file(database, hash);
+
+    this.mkdir(this.dumps.directory);
+    this.log.note('Dump database [!database] to [!file]', {'!database': database, '!file': this.relative(file) + '.gz'});
+    await this.drush.sqlDump(file);
+
+    const keep = this.args.keep !== null ? this.args.keep : this.config.get('db.keep', 0);
+    const maxAge = this.args['max-age'] !== null ? this.args['max-age'] : this.config.get('db.maxAge', 0);
+    for (const dump of this.dumps.rotate(database, keep, maxAge)) {
+      this.log.note('Remove old dump [!file]', {'!file': this.relative(dump.path)});
+    }
+    this.log.success('Dumped database [!database].', {'!database': database});
+    return {file: file + '.gz'};
+  } catch (error) {
+    this.log.failed(error);
+    return error;
+  }
+};
+dbDump.command = 'db:dump';
+dbDump.params = [
+  ['--keep|-k:number', 'Keep only this number of dumps, 0 to keep all. (config "db.keep")'],
+  ['--max-age:number', 'Remove dumps older than this number of days, 0 to disable. (config "db.maxAge")'],
+];
+dbDump.description = 'Dump the database as gzip into the dump directory.';
+
+/**
+ * @this {Executable}
+ */
+async function dbImport() {
+  try {
+    this.strict(true);
+    let file = this.args.file;
+
+    if (file) {
+      file = Path.resolve(this.system.paths.cwd, file);
+      if (!FS.existsSync(file)) {
+        return {error: this.log.error('The dump [!file] does not exist.', {'!file': file})};
+      }
+    } else {
+      const dumps = this.dumps.list();
+      if (!dumps.length) {
+        return {error: this.log.error('No dumps found in [!directory].', {'!directory': this.dumps.directory})};
+      }
+      file = dumps[0].path;
+    }
+    const database = await this.drush.getDB();
+
+    this.log.warn('Import [!file] into database [!database]', {'!file': this.relative(file), '!database': database});
+    if (!(await this.readlineAccept('Do you want to replace the database [' + database + ']?'))) {
+      return {error: this.log.error('No consent. Abort!')};
+    }
+    if (this.args.drop) {
+      this.log.note('Drop all tables in [!database]', {'!database': database});
+      await this.drush.sqlDrop();
+    }
+    await this.drush.sqlImport(file);
+    this.log.success('Imported [!file] into [!database].', {'!file': this.relative(file), '!database': database});
+  } catch (error) {
+    this.log.failed(error);
+    return error;
+  }
+};
+dbImport.command = 'db:import';
+dbImport.params = [
+  ['file', 'The dump to import, the newest dump if empty.'],
+  ['--drop', 'Drop all tables before the import.'],
+  ['--yes|-y', 'Import without confirmation.'],
+];
+dbImport.description = 'Import a dump into the database.';
+
+/**
+ * @this {Executable} 
+ */
+async function deployUnlock() {
+  try {
+    const lock = this.deploy.getLock();
+
+    if (lock === null) {
+      this.log.note('The deployment is not locked.');
+      return;
+    }
+    const stale = this.deploy.isStale(lock);
+    this.log.note('Locked by [!user] on [!host] (pid [pid]) since [started]', {'!user': lock.user, '!host': lock.host, 'pid': lock.pid, 'started': lock.started});
+    if (stale === null) {
+      this.log.warn('The lock looks active, a deployment may still be running.');
+    } else {
+      this.log.note('The lock is stale, because [reason].', {'reason': stale});
+    }
+    if (!(await this.readlineAccept('Do you want to remove the lock?'))) {
+      return {error: this.log.error('No consent. Abort!')};
+    }
+    this.deploy.unlock();
+    this.log.success('Removed the deploy lock [!path]', {'!path': this.relative(this.deploy.lockFile)});
+  } catch (error) {
+    this.log.failed(error);
+    return error;
+  }
+};
+deployUnlock.command = 'deploy:unlock';
+deployUnlock.params = [
+  ['--yes|-y', 'Remove the lock without confirmation.'],
+];
+deployUnlock.description = 'Remove the lock of a running or aborted deployment.';
+
+/**
+ * @this {Executable} 
+ */
+async function deployHistory() {
+  const duration = (ms) => ms === null || ms === undefined ? '-' : (ms < 60000 ? (ms / 1000).toFixed(1) + 's' : Math.floor(ms / 60000) + 'm ' + Math.round((ms % 60000) / 1000) + 's');
+  const short = (hash) => hash ? hash.substring(0, 7) : '-';
+  const history = this.deploy.getHistory();
+
+  if (this.args.id !== null) {
+    const record = history.find(item => item.id === this.args.id);
+
+    if (record === undefined) {
+      return {error: this.log.error('The deployment [!id] is not recorded in [!path].', {'!id': this.args.id, '!path': this.relative(this.deploy.historyFile)})};
+    }
+    if (this.args.json) {
+      console.log(JSON.stringify(record, null, 2));
+      return record;
+    }
+    console.log('DEPLOYMENT #' + record.id);
+    console.log('\tStatus:   ' + record.status + (record.error ? ' (' + record.error + ')' : ''));
+    console.log('\tType:     ' + record.type);
+    console.log('\tUser:     ' + record.user + '@' + record.host);
+    console.log('\tBranch:   ' + (record.branch || '-'));
+    console.log('\tCommits:  ' + (record.from || '-') + ' -> ' + (record.to || '-'));
+    console.log('\tStarted:  ' + record.started);
+    console.log('\tFinished: ' + (record.finished || '-'));
+    console.log('\tDuration: ' + duration(record.duration));
+    console.log();
+    console.log('STEPS');
+    for (const step of record.steps) {
+      console.log('\t' + step.name.padEnd(20) + duration(step.duration).padStart(9) + '  ' + step.status + (step.error ? ' (' + step.error + ')' : ''));
+    }
+    if (!record.steps.length) console.log('\t-');
+    return record;
+  }
+
+  const since = this.args.since ? new Date(this.args.since) : null;
+  if (since !== null && isNaN(since.getTime())) {
+    return {error: this.log.error('The date [!since] is invalid, use e.g. [@example].', {'!since': this.args.since, '@example': '2024-01-31'})};
+  }
+  const records = history.filter(record => {
+    if (this.args.status && record.status !== this.args.status) return false;
+    if (this.args.type && record.type !== this.args.type) return false;
+    if (this.args.user && record.user !== this.args.user) return false;
+    if (since !== null && new Date(record.started) < since) return false;
+    return true;
+  }).reverse().slice(0, this.args.limit > 0 ? this.args.limit : undefined);
+
+  if (this.args.json) {
+    console.log(JSON.stringify(records, null, 2));
+    return records;
+  }
+  if (!records.length) {
+    this.log.note('No deployments recorded.');
+    return records;
+  }
+  for (const record of records) {
+    console.log([
+      ('#' + record.id).padEnd(5),
+      record.started.replace('T', ' ').substring(0, 19),
+      record.status.padEnd(8),
+      (record.type || '-').padEnd(8),
+      duration(record.duration).padStart(8),
+      short(record.from) + '..' + short(record.to),
+      record.user + '@' + record.host,
+      record.branch || '',
+    ].join('  '));
+  }
+  return records;
+};
+deployHistory.command = 'deploy:history';
+deployHistory.params = [
+  ['id:number', 'Show the details of this deployment.'],
+  ['--limit|-n:number', 'Show only the newest deployments, 0 for all.', null, 20],
+  ['--status:string', 'Only deployments with this status.', ['success', 'failed', 'refused']],
+  ['--type:string', 'Only deployments of this type.'],
+  ['--user:string', 'Only deployments of this user.'],
+  ['--since:string', 'Only deployments started since this date.'],
+  ['--json', 'Output the records as JSON.'],
+];
+deployHistory.description = 'List the recorded deployments or show the details of one.';
+
 /**
  * @this {Executable} 
  */
 async function generate() {
   try {
     const form = await this.form('generate/' + this.args.name);
+    if (form.error) throw form.error;
 
     const files = {};
     for (const path in form.form.files) {
       const template = await this.template(form.form.files[path], form.bag);
       try {
-        files[this.replace(Path.normalize(path), form.bag, true)] = template;
+        files[Path.normalize(this.replace(path, form.bag, true))] = template;
       } catch (e) {
         if (e instanceof ReplaceLoshError) {
           throw this.log.error('File [!path] can not be generated because: [message]', {'!path': path, message: e.message});
@@ -1143,31 +4293,99 @@ async function generate() {
         throw e;
       }
     }
+    const policy = this.args['on-conflict'] || (this.args.yes ? 'overwrite' : 'ask');
+    const states = {};
     this.log.note('Would generate this files:');
     for (const file in files) {
-      if (FS.existsSync(file)) {
-        this.log.warn('Exists ' + file);
-      } else {
+      if (!FS.existsSync(file)) {
+        states[file] = 'create';
         this.log.note(file);
+      } else if (FS.readFileSync(file).toString() === files[file]) {
+        states[file] = 'identical';
+        this.log.note(file + ' (identical)');
+      } else {
+        states[file] = 'conflict';
+        this.log.warn('Exists ' + file);
       }
     }
     const accept = await this.readlineAccept('Write file');
-    if (accept) {
-      for (const file in files) {
-        const result = await this.write(file, files[file], true);
-        if (result.error) return;
-      }
-    } else {
+    if (!accept) {
       this.log.error('No consent. Abort!');
       return;
     }
+
+    const resolve = async (file) => {
+      while (true) {
+        const input = await this.readlineWhile('Conflict in ' + file + ': [o]verwrite, [s]kip, [n]ew as .new, [d]iff (O, S, N for all remaining files): ', (input) => {
+          return ['o', 's', 'n', 'd', 'O', 'S', 'N'].includes(input.answer) || 'Please use one of o, s, n, d or O, S, N.';
+        });
+        if (input.error) throw input.error;
+        if (input.answer === 'd') {
+          const diff = this.diff(FS.readFileSync(file).toString(), files[file], file);
+          console.log(diff.split('\n').map(line => {
+            if (line.startsWith('@@')) return this.log.color.cyan(line);
+            if (line.startsWith('+')) return this.log.color.green(line);
+            if (line.startsWith('-')) return this.log.color.red(line);
+            return line;
+          }).join('\n'));
+          continue;
+        }
+        return {action: {o: 'overwrite', s: 'skip', n: 'new'}[input.answer.toLowerCase()], all: input.answer !== input.answer.toLowerCase()};
+      }
+    };
+    const summary = {created: [], changed: [], new: [], skipped: [], identical: []};
+    let all = policy === 'ask' ? null : policy;
+    for (const file in files) {
+      if (states[file] === 'identical') {
+        summary.identical.push(file);
+        continue;
+      }
+      let action = 'overwrite';
+      if (states[file] === 'conflict') {
+        if (all === null) {
+          const choice = await resolve(file);
+          action = choice.action;
+          if (choice.all) all = choice.action;
+        } else {
+          action = all;
+        }
+      }
+      if (action === 'skip') {
+        summary.skipped.push(file);
+        continue;
+      }
+      const path = action === 'new' ? file + '.new' : file;
+      const result = await this.write(path, files[file], true);
+      if (result.error) return result.error;
+      summary[action === 'new' ? 'new' : (states[file] === 'create' ? 'created' : 'changed')].push(path);
+    }
+    for (const state in summary) {
+      for (const file of summary[state]) {
+        this.log.note((state + ':').padEnd(11) + '[!file]', {'!file': file});
+      }
+    }
+    this.log.success('[created] created, [changed] changed, [new] written as .new, [skipped] skipped, [identical] identical', {
+      created: summary.created.length,
+      changed: summary.changed.length,
+      new: summary.new.length,
+      skipped: summary.skipped.length,
+      identical: summary.identical.length,
+    });
+    if (form.form.after) {
+      const result = await this.recipe({steps: form.form.after}, form.bag);
+      if (result.error) return result.error;
+    }
   } catch (error) {
     this.log.failed(error);
     return error;
   }
 };
 generate.params = [
-  ['name']
+  ['name'],
+  ['--set|-s:string[]', 'Answer a field of the form, as name=value.'],
+  ['--answers:string', 'A JSON file with answers for the form.'],
+  ['--yes|-y', 'Write the files without confirmation, existing files are overwritten if no other "--on-conflict" is given.'],
+  ['--on-conflict:string', 'Resolve existing files without asking.', ['ask', 'overwrite', 'skip', 'new']],
 ];
 generate.description = 'Generator command.';
 
@@ -1179,27 +4397,137 @@ async function install() {
   const home = Path.join(OS.homedir(), '.' + SCRIPT_NAME);
 
   if (pack) {
+    if (!this.system.paths.home) {
+      return {error: this.log.error('The script is not installed. Use [@install] first.', {'@install': SCRIPT_NAME + ' install'})};
+    }
+    this.log.note('Install package [!package] ...', {'!package': pack});
+    const result = await this.system.extensions.install(this, pack, this.args.name);
+    if (result.error) return result;
 
+    this.log.success('Installed [!name] [version] with commands: [commands]', {'!name': result.entry.name, 'version': result.entry.version || '', 'commands': result.commands.join(', ') || '-'});
+    return result;
   } else {
     this.log.note('Install ' + SCRIPT_NAME + ' on this system.');
-    if (FS.existsSync(home)) {
+    const config = Path.join(home, SCRIPT_NAME + '.json');
+    if (FS.existsSync(home) && !(FS.existsSync(config) && FS.readdirSync(home).length === 1)) {
       return {error: this.log.error('The script ' + SCRIPT_NAME + ' is already installed! Abort!')};
     }
+    if (FS.existsSync(config)) {
+      this.log.note('Keep the existing config [!path]', {'!path': config});
+      this.system._paths.home = home;
+      FS.writeFileSync(this.system.extensions.file, '[]');
+      return;
+    }
     FS.mkdirSync(home);
     this.system._paths.home = home;
-    const result = await this.execute(['generate', 'install']);
-    console.log(result);
+    const args = ['generate', 'install'];
+    for (const answer of this.args.set) args.push('--set', answer);
+    if (this.args.answers) args.push('--answers', this.args.answers);
+    if (this.args.yes) args.push('--yes');
+    return this.execute(args);
   }
 };
 install.params = [
-  ['package', 'The name of the package.'],
+  ['package', 'The package to install, a local path, git URL or tarball.'],
+  ['--name:string', 'Install the package with this name.'],
+  ['--set|-s:string[]', 'Answer a field of the install form, as name=value.'],
+  ['--answers:string', 'A JSON file with answers for the install form.'],
+  ['--yes|-y', 'Write the files without confirmation.'],
 ];
+install.dryRun = false;
 install.description = 'Install the script for extensions and configs. (Optional)';
 
+/**
+ * @this {Executable}
+ */
+async function update() {
+  const extensions = this.system.extensions;
+  const names = this.args.package ? [this.args.package] : extensions.installed.map(entry => entry.name);
+
+  if (!names.length) {
+    this.log.note('No packages installed.');
+    return;
+  }
+  for (const name of names) {
+    if (!extensions.isValidName(name)) return {error: extensions.invalidName(name)};
+    const entry = extensions.get(name);
+
+    if (entry === null) {
+      return {error: this.log.error('The package [!name] is not installed.', {'!name': name})};
+    }
+    this.log.note('Update package [!name] from [!source] ...', {'!name': name, '!source': entry.source});
+    const result = await extensions.install(this, entry.source, name, true);
+    if (result.error) return result;
+
+    this.log.success('Updated [!name] [from] -> [to]', {'!name': name, 'from': entry.version || '?', 'to': result.entry.version || '?'});
+  }
+};
+update.params = [
+  ['package', 'The name of the installed package, all packages if empty.'],
+];
+update.dryRun = false;
+update.description = 'Update installed packages from their source.';
+
+/**
+ * @this {Executable}
+ */
 async function uninstall() {
+  const pack = this.args.package;
+  const home = this.system.paths.home;
+
+  if (!home) {
+    return {error: this.log.error('The script ' + SCRIPT_NAME + ' is not installed.')};
+  }
+  if (pack) {
+    const extensions = this.system.extensions;
+    if (!extensions.isValidName(pack)) return {error: extensions.invalidName(pack)};
+    const entry = extensions.get(pack);
+
+    if (entry === null) {
+      return {error: this.log.error('The package [!name] is not installed.', {'!name': pack})};
+    }
+    this.log.note('Uninstall package [!name] [version] from [!path]', {'!name': pack, 'version': entry.version || '', '!path': extensions.path(pack)});
+    if (!(await this.readlineAccept('Do you want to uninstall the package?'))) {
+      return {error: this.log.error('No consent. Abort!')};
+    }
+    const before = Object.keys(this.system.commands);
+
+    System.remove(extensions.path(pack));
+    extensions.remove(pack);
+    this.system._commands = null;
+    this.system._origins = null;
+    this.system._overrides = null;
 
+    const removed = before.filter(name => this.system.commands[name] === undefined);
+    this.log.success('Uninstalled [!name], removed commands: [commands]', {'!name': pack, 'commands': removed.join(', ') || '-'});
+    return {entry, commands: removed};
+  } else {
+    const keep = this.args['keep-config'];
+
+    this.log.note('Uninstall ' + SCRIPT_NAME + ' from [!path]' + (keep ? ', keep the config' : ''), {'!path': home});
+    if (!(await this.readlineAccept('Do you want to remove all packages' + (keep ? '' : ' and configs') + '?'))) {
+      return {error: this.log.error('No consent. Abort!')};
+    }
+    if (keep) {
+      for (const file of FS.readdirSync(home)) {
+        if (file !== SCRIPT_NAME + '.json') {
+          System.remove(Path.join(home, file));
+        }
+      }
+    } else {
+      System.remove(home);
+      delete this.system.paths.home;
+    }
+    this.log.success('Uninstalled ' + SCRIPT_NAME + '.');
+  }
 };
-uninstall.description = 'Uninstall the script.';
+uninstall.params = [
+  ['package', 'The name of an installed package, the script itself if empty.'],
+  ['--keep-config', 'Keep the "' + SCRIPT_NAME + '.json" config.'],
+  ['--yes|-y', 'Uninstall without confirmation.'],
+];
+uninstall.dryRun = false;
+uninstall.description = 'Uninstall the script or a package.';
 
 /**
  * @this {Executable} 
@@ -1214,6 +4542,7 @@ function debug(resolve) {
   }
 
   list('paths', this.system.paths);
+  list('config', this.config.flatten());
 
   this.execute(['list', 'full']).then(resolve);
 };
@@ -1235,20 +4564,22 @@ async function test() {
 /**
  * @this {Executable} 
  */
-function list() {
+async function list() {
   const type = this.args.type;
 
-  function listCommands(title, commands) {
+  async function listCommands(title, commands) {
     if (type !== 'simple') console.log(title.toUpperCase());
     for (const name in commands) {
-      const executable = this.system.getExecutable(name);
+      const executable = await this.system.getExecutable(name).prepare();
 
       if (type === 'simple') {
         console.log(executable.name);
       } else {
         const output = [executable.name];
 
-        if (executable.description !== null) {
+        if (executable.broken) {
+          output.push('{broken, see the error above}');
+        } else if (executable.description !== null) {
           output.push(executable.description);
         }
         if (type === 'usage' || type === 'full') {
@@ -1260,19 +4591,240 @@ function list() {
           } else {
             output.push('{native command}');
           }
+          if (this.system.overrides[name]) {
+            output.push('{overrides ' + this.system.overrides[name].map(item => item.origin).join(', ') + '}');
+          }
         }
         console.log('\t', output.join(' - '));
       }
     }
   }
 
-  listCommands.call(this, 'Commands', this.system.commands);
+  if (type === 'packages') {
+    console.log('PACKAGES');
+    for (const entry of this.system.extensions.installed) {
+      console.log('\t', [entry.name, entry.version || '?', entry.source].join(' - '));
+    }
+    return;
+  }
+  await listCommands.call(this, 'Commands', this.system.commands);
 };
 list.params = [
-  ['type', 'The information', ['full', 'simple', 'usage', 'format'], 'format'],
+  ['type', 'The information', ['full', 'simple', 'usage', 'format', 'packages'], 'format'],
 ];
 list.description = 'List all commands';
 
+/**
+ * @this {Executable}
+ */
+async function completion() {
+  if (this.args.complete) {
+    for (const candidate of await completionCandidates.call(this, this.args._)) {
+      console.log(candidate);
+    }
+    return;
+  }
+  const scripts = {
+    bash: [
+      '# ' + SCRIPT_NAME + ' bash completion, add to ~/.bashrc: eval "$(' + SCRIPT_NAME + ' completion bash)"',
+      '_' + SCRIPT_NAME + '_complete() {',
+      '  local IFS=$\'\\n\'',
+      '  COMPREPLY=($(' + SCRIPT_NAME + ' completion --complete -- "${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))',
+      '}',
+      'complete -o default -F _' + SCRIPT_NAME + '_complete ' + SCRIPT_NAME,
+    ],
+    zsh: [
+      '#compdef ' + SCRIPT_NAME,
+      '# ' + SCRIPT_NAME + ' zsh completion, add to ~/.zshrc: eval "$(' + SCRIPT_NAME + ' completion zsh)"',
+      '_' + SCRIPT_NAME + '() {',
+      '  local -a candidates',
+      '  candidates=("${(@f)$(' + SCRIPT_NAME + ' completion --complete -- "${(@)words[2,CURRENT]}" 2>/dev/null)}")',
+      '  if (( ${#candidates[@]} )) && [[ -n "${candidates[1]}" ]]; then',
+      '    compadd -a candidates',
+      '  else',
+      '    _files',
+      '  fi',
+      '}',
+      'compdef _' + SCRIPT_NAME + ' ' + SCRIPT_NAME,
+    ],
+    fish: [
+      '# ' + SCRIPT_NAME + ' fish completion, add to ~/.config/fish/config.fish: ' + SCRIPT_NAME + ' completion fish | source',
+      'function __' + SCRIPT_NAME + '_complete',
+      '  set -l tokens (commandline -opc) (commandline -ct)',
+      '  ' + SCRIPT_NAME + ' completion --complete -- $tokens[2..-1] 2>/dev/null',
+      'end',
+      'complete -c ' + SCRIPT_NAME + ' -f -a \'(__' + SCRIPT_NAME + '_complete)\'',
+    ],
+  };
+  console.log(scripts[this.args.shell].join('\n'));
+};
+completion.params = [
+  ['shell', 'The shell to generate the completion script for.', ['bash', 'zsh', 'fish'], 'bash'],
+  {name: '--complete', description: 'Print the candidates for the words after the script name.', hidden: true},
+];
+completion.logFile = false;
+completion.description = 'Print a shell completion script.';
+
+/**
+ * @this {Executable}
+ */
+async function help() {
+  if (!this.args.command) {
+    return this.execute(['list', 'usage']);
+  }
+  if (this.system.commands[this.args.command] === undefined) {
+    return {error: this.log.error('Command [@command] not found!', {'@command': this.args.command})};
+  }
+  const executable = await this.system.getExecutable(this.args.command).prepare();
+  const origin = this.system.origins[executable.name];
+
+  function section(title, lines) {
+    console.log(title.toUpperCase());
+    for (const line of lines) {
+      console.log('\t' + line);
+    }
+    console.log();
+  }
+
+  section('name', [executable.name + (executable.description ? ' - ' + executable.description : '')]);
+  section('usage', [executable.usage]);
+
+  const params = executable.params.filter(param => !param.hidden);
+  if (params.length) {
+    const lines = [];
+    for (const param of params) {
+      const names = param.type === 'option' ? param.aliases.map(alias => (alias.length === 1 ? '-' : '--') + alias).join(', ') : param.name;
+      const flags = [param.type, param.datatype];
+
+      if (param.required) flags.push('required');
+      if (param.repeat) flags.push('repeatable');
+      lines.push(names + ' (' + flags.join(', ') + ')');
+      if (param.description) lines.push('\t' + param.description);
+      if (param.options) lines.push('\tOptions: ' + param.options.join(', '));
+      if (param.fallback !== null) lines.push('\tDefault: ' + param.fallback);
+    }
+    section('parameters', lines);
+  }
+
+  if (origin === 'native') {
+    section('source', ['{native command}']);
+  } else if (origin === 'project') {
+    section('source', ['project ' + executable.file]);
+  } else {
+    section('source', ['extension ' + origin.substring('extension:'.length) + ' ' + executable.file]);
+  }
+
+  if (this.system.overrides[executable.name]) {
+    section('overrides', this.system.overrides[executable.name].map(item => item.origin + ' ' + (typeof item.command === 'string' ? item.command : '{native command}')).reverse());
+  }
+
+  if (executable.header) {
+    section('header', executable.header.split('\n'));
+  }
+};
+help.params = [
+  ['command', 'The command to describe.'],
+];
+help.description = 'Show the full documentation of a command.';
+
+/**
+ * Get the completion candidates for the words, the last word is the word under the cursor.
+ * Words split on ":" by bash (e.g. "db : dump") are joined again, the candidates are returned without
+ * the part before the last ":" of the current word, because bash completes only the part after it.
+ * 
+ * @this {Executable}
+ * @param {string[]} words 
+ * @returns {Promise<string[]>}
+ */
+async function completionCandidates(words) {
+  const joined = [];
+  let glue = false;
+  let glued = false;
+  let trim = '';
+
+  for (const word of words) {
+    if (word === ':' && joined.length) {
+      joined[joined.length - 1] += ':';
+      glue = glued = true;
+    } else if (glue) {
+      joined[joined.length - 1] += word;
+      glue = false;
+    } else {
+      joined.push(word);
+      glued = false;
+    }
+  }
+  if (glued) {
+    trim = joined[joined.length - 1].substring(0, joined[joined.length - 1].lastIndexOf(':') + 1);
+  }
+  const candidates = await completionWords.call(this, joined);
+  return candidates.map(candidate => candidate.startsWith(trim) ? candidate.substring(trim.length) : candidate);
+}
+
+/**
+ * Get the completion candidates for the words, words split on "=" by bash are joined again.
+ * 
+ * @this {Executable}
+ * @param {string[]} words 
+ * @returns {Promise<string[]>}
+ */
+async function completionWords(words) {
+  words = words.length ? words.slice() : [''];
+  let current = words.pop();
+  let prefix = '';
+
+  if (current === '=' || words[words.length - 1] === '=') {
+    if (current === '=') current = '';
+    if (words[words.length - 1] === '=') words.pop();
+    current = words.pop() + '=' + current;
+  } else if (current.includes('=')) {
+    prefix = current.substring(0, current.indexOf('=') + 1);
+  }
+  if (!words.length) {
+    return Object.keys(this.system.commands).filter(name => name.startsWith(current));
+  }
+  if (this.system.commands[words[0]] === undefined) return [];
+
+  const executable = await this.system.getExecutable(words[0]).prepare();
+  const params = executable.params.filter(param => !param.hidden);
+  const values = (param) => param.datatype === 'boolean' ? ['true', 'false'] : (param.options || []).map(String);
+  const option = (word) => executable.getParam(word.replace(/^-+/, '').split('=')[0], word.startsWith('--') ? null : 'option');
+
+  if (current.startsWith('-') && current.includes('=')) {
+    const param = option(current);
+    const value = current.substring(current.indexOf('=') + 1);
+
+    return param ? values(param).filter(item => item.startsWith(value)).map(item => prefix + item) : [];
+  }
+  const previous = words.length > 1 ? option(words[words.length - 1]) : null;
+  if (previous && previous.type === 'option' && previous.datatype !== 'boolean' && !words[words.length - 1].includes('=')) {
+    return values(previous).filter(item => item.startsWith(current));
+  }
+  if (current.startsWith('-')) {
+    const names = [];
+    for (const param of params) {
+      if (param.type === 'option') {
+        names.push(...param.aliases.map(alias => (alias.length === 1 ? '-' : '--') + alias));
+      } else {
+        names.push('--' + param.name + '=');
+      }
+    }
+    return names.filter(name => name.startsWith(current));
+  }
+
+  let position = 0;
+  for (let i = 1; i < words.length; i++) {
+    if (words[i].startsWith('-') && words[i].length > 1) {
+      const param = option(words[i]);
+      if (param && param.type === 'option' && param.datatype !== 'boolean' && !words[i].includes('=')) i++;
+    } else {
+      position++;
+    }
+  }
+  const argument = params.filter(param => param.type === 'argument')[position];
+  return argument ? values(argument).filter(item => item.startsWith(current)) : [];
+}
+
 // #############
 // # Execution #
 // #############
@@ -1283,4 +4835,4 @@ const args = System.copyArray(process.argv);
 args.shift();
 args.shift();
 
-system.execute(args);
\ No newline at end of file
+system.main(args);
\ No newline at end of file
@@ -2,56 +2,94 @@
  * @this {Executable}
  */
 module.exports = async function() {
+  const lock = this.deploy.lock();
+  if (lock.error) return lock;
+  const record = this.deploy.start(this.args.type);
+
   try {
     this.strict(true);
     this.log.note('Deployment mode [!type]', {'!type': this.args.type});
     console.log();
 
+    const guard = await this.deploy.guard(this.args.force);
+    if (guard.error) {
+      this.deploy.finish('refused', guard.error);
+      return guard;
+    }
+    console.log();
+
     const hash = await this.git.getCurrentHash();
-    const path = this.path('extension', 'currenthash.txt');
+    record.branch = await this.git.getCurrentBranch();
+    record.from = hash;
+    const path = this.deploy.hashFile;
 
     this.log.note('Update code; Update config; Composer install; Compile theme');
     console.log();
 
     this.log.note('Get new code version');
-    await this.git.pull();
+    await this.deploy.step('git pull', () => this.git.pull(true));
     const newHash = await this.git.getCurrentHash();
+    record.to = newHash;
 
     if (hash !== newHash) {
       this.log.note('Mark current hash [!hash] here [!path]', {'!path': this.relative(path), '!hash': hash});
-      await this.write(path, hash, true);
+      await this.deploy.pushHash(hash);
       this.log.note('New hash [!hash]', {'!hash': newHash});
     } else {
       this.log.warn('No new commit!');
     }
     console.log();
 
-    if (['standard', 'update'].includes(this.args.type)) {
+    const plan = this.args.type === 'smart' ? this.deploy.plan(hash !== newHash ? await this.git.changedFiles(hash, newHash) : []) : null;
+    if (plan) {
+      for (const step in plan) {
+        this.log.note('[@step] [state]: [reason]', {'@step': step, 'state': plan[step].run ? 'runs' : 'skipped', 'reason': plan[step].reason});
+      }
+      console.log();
+    }
+
+    if (plan ? plan.composer.run : ['standard', 'update'].includes(this.args.type)) {
       this.log.note('Update composer');
-      await this.composer.install();
+      await this.deploy.step('composer install', () => this.composer.install());
       console.log();
     }
 
-    if (this.args.type === 'standard') {
+    if (plan && plan.updb.run) {
+      this.log.note('Update database');
+      await this.deploy.step('drush updb', () => this.drush.updb(true));
+      console.log();
+    }
+
+    if (plan ? plan.cim.run : this.args.type === 'standard') {
       this.log.note('Update config');
-      await this.drush.cr();
-      await this.drush.cim(true);
+      await this.deploy.step('drush cr', () => this.drush.cr());
+      await this.deploy.step('drush cim', () => this.drush.cim(true));
+      console.log();
+    }
+
+    if (plan && plan.theme.run) {
+      this.log.note('Build theme');
+      await this.deploy.step('theme build', async () => this.checkError(await this.shell([this.config.get('deploy.themeBuild')])));
       console.log();
     }
 
-    // gulp
     this.log.note('Final cache flush ...');
-    await this.drush.cr();
+    await this.deploy.step('drush cr', () => this.drush.cr());
     console.log();
 
+    this.deploy.finish('success');
     this.log.success('Finished.');
   } catch (error) {
     console.log(error);
+    this.deploy.finish('failed', error);
     this.log.failed(error);
     return error;
+  } finally {
+    this.deploy.release();
   }
 };
 module.exports.params = [
-  ['type', 'The type of the pull.', ['standard', 'update', 'speed'], 'standard'],
+  ['type', 'The type of the pull.', ['standard', 'update', 'speed', 'smart'], 'standard'],
+  ['--force', 'Deploy even if the git checkout has problems.'],
 ];
 module.exports.description = 'Standard Deploy Script';
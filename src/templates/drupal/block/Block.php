@@ -0,0 +1,27 @@
+<?php
+
+namespace Drupal\\{{module}}\Plugin\Block;
+
+use Drupal\Core\Block\BlockBase;
+
+/**
+ * Provides a {{label}} block.
+ *
+ * @Block(
+ *   id = "{{id}}",
+ *   admin_label = @Translation("{{label}}"),
+ *   category = @Translation("Custom")
+ * )
+ */
+class {{class}} extends BlockBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function build(): array {
+    return [
+      '#markup' => $this->t('It works!'),
+    ];
+  }
+
+}
@@ -0,0 +1,21 @@
+<?php
+
+namespace Drupal\\{{machine}}\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+
+/**
+ * Returns responses for {{name}} routes.
+ */
+class {{machine|pascal}}Controller extends ControllerBase {
+
+  /**
+   * Builds the response.
+   */
+  public function build(): array {
+    return [
+      '#markup' => $this->t('It works!'),
+    ];
+  }
+
+}
@@ -0,0 +1,6 @@
+<?php
+
+/**
+ * @file
+ * Hooks of the {{name}} module.
+ */
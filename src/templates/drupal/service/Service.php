@@ -0,0 +1,10 @@
+<?php
+
+namespace Drupal\\{{module}};
+
+/**
+ * The service {{id}}.
+ */
+class {{class}} {
+
+}
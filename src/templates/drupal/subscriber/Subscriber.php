@@ -0,0 +1,35 @@
+<?php
+
+namespace Drupal\\{{module}}\EventSubscriber;
+
+{{#each events}}
+use Symfony\Component\HttpKernel\Event\\{{this|pascal}}Event;
+{{/each}}
+use Symfony\Component\HttpKernel\KernelEvents;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * Subscribes to kernel events.
+ */
+class {{class}} implements EventSubscriberInterface {
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array {
+    return [
+{{#each events}}
+      KernelEvents::{{this|upper}} => ['on{{this|pascal}}'],
+{{/each}}
+    ];
+  }
+{{#each events}}
+
+  /**
+   * Reacts on KernelEvents::{{this|upper}}.
+   */
+  public function on{{this|pascal}}({{this|pascal}}Event $event): void {
+  }
+{{/each}}
+
+}
@@ -0,0 +1,6 @@
+<?php
+
+/**
+ * @file
+ * Functions to support theming in the {{name}} theme.
+ */
@@ -0,0 +1,14 @@
+/**
+ * @this {Executable}
+ */
+module.exports = async function() {
+  // Add project specific steps here, e.g. disable a maintenance page or purge a proxy cache.
+
+  return this.parent();
+};
+module.exports.params = [
+  ['steps:number', 'The number of deployments to roll back.', null, 1],
+  ['--yes|-y', 'Roll back without confirmation.'],
+];
+module.exports.description = 'Standard Rollback Script';
+module.exports.override = true;